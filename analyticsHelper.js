@@ -0,0 +1,157 @@
+// analyticsHelper.js - per-sequence funnel metrics from sequence_runs, scheduled_emails and email_events
+//
+// Everything is scoped to one owner's runs of the sequence:
+//   - run totals count runs enrolled (sequence_runs.created_at) in [from, to), by their current status
+//   - step sent / failed / bounced / replied count what happened in [from, to)
+//   - step pending counts what is queued right now (scheduled or held), whatever the range
+// Replies carry no step, so each one is credited to the last step its run sent before the reply.
+
+const PAGE_SIZE = 1000;
+const ID_CHUNK = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const MAX_RANGE_DAYS = 366;
+// run statuses reported in totals ('stopped' is how a reply ends a run, reported as replied)
+const RUN_STATUSES = ["active", "paused", "completed", "replied", "bounced", "unsubscribed", "cancelled"];
+// job statuses counted as failed sends (dead = retries used up, waiting in the dead-letter queue)
+const FAILED_JOB_STATUSES = ["failed", "dead"];
+
+async function fetchAll(build) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+// YYYY-MM-DD of `date` in timeZone
+function dayKey(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+}
+
+function emptySeries(from, to, timeZone) {
+  const series = new Map();
+  // step in half days so DST shifts can't skip a local date (duplicates collapse in the map),
+  // plus the range's last instant for a partial final day
+  const times = [];
+  for (let t = from.getTime(); t < to.getTime(); t += DAY_MS / 2) times.push(t);
+  times.push(to.getTime() - 1);
+  for (const t of times) {
+    const date = dayKey(new Date(t), timeZone);
+    if (!series.has(date)) series.set(date, { date, enrolled: 0, sent: 0, replied: 0, bounced: 0, failed: 0 });
+  }
+  return series;
+}
+
+/**
+ * Funnel metrics for `sequenceId` ({ id, step_order, deleted_at? } steps) limited to ownerId's runs, for [from, to)
+ * with a per-day series in timeZone. Returns { totals, steps, series }.
+ */
+export async function sequenceAnalytics(supabase, { ownerId, sequenceId, steps, from, to, timeZone = "UTC" }) {
+  const inRange = ts => {
+    const t = new Date(ts).getTime();
+    return t >= from.getTime() && t < to.getTime();
+  };
+  const stepIds = steps.map(s => s.id);
+
+  const runs = await fetchAll(() => supabase
+    .from("sequence_runs")
+    .select("id, status, created_at")
+    .eq("owner_id", ownerId)
+    .eq("sequence_id", sequenceId)
+    .order("id", { ascending: true }));
+  const runIds = new Set(runs.map(r => r.id));
+
+  // sends and bounces have a step; replies are credited to the last step sent before them, so sends from
+  // before the range are read too. Queried per chunk of the owner's run ids, and nothing after the range.
+  const stepEvents = [];
+  const replies = [];
+  const ids = [...runIds];
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    const chunk = ids.slice(i, i + ID_CHUNK);
+    if (stepIds.length) {
+      stepEvents.push(...await fetchAll(() => supabase
+        .from("email_events")
+        .select("id, sequence_run_id, step_id, status, created_at")
+        .in("sequence_run_id", chunk)
+        .in("step_id", stepIds)
+        .in("status", ["sent", "bounced"])
+        .lt("created_at", to.toISOString())
+        .order("id", { ascending: true })));
+    }
+    replies.push(...await fetchAll(() => supabase
+      .from("email_events")
+      .select("id, sequence_run_id, created_at")
+      .in("sequence_run_id", chunk)
+      .eq("status", "replied")
+      .gte("created_at", from.toISOString())
+      .lt("created_at", to.toISOString())
+      .order("id", { ascending: true })));
+  }
+
+  const jobs = stepIds.length ? await fetchAll(() => supabase
+    .from("scheduled_emails")
+    .select("id, sequence_run_id, step_id, status, updated_at")
+    .eq("owner_id", ownerId)
+    .in("step_id", stepIds)
+    .in("status", [...FAILED_JOB_STATUSES, "scheduled", "processing", "paused"])
+    .order("id", { ascending: true })) : [];
+
+  const series = emptySeries(from, to, timeZone);
+  const bump = (ts, field) => {
+    const day = series.get(dayKey(new Date(ts), timeZone));
+    if (day) day[field]++;
+  };
+
+  // run totals
+  const failedRuns = new Set(jobs.filter(j => FAILED_JOB_STATUSES.includes(j.status)).map(j => j.sequence_run_id));
+  const totals = { enrolled: 0, ...Object.fromEntries(RUN_STATUSES.map(status => [status, 0])), failed: 0 };
+  for (const run of runs) {
+    if (!inRange(run.created_at)) continue;
+    totals.enrolled++;
+    bump(run.created_at, "enrolled");
+    const status = run.status === "stopped" ? "replied" : run.status;
+    if (RUN_STATUSES.includes(status)) totals[status]++;
+    if (failedRuns.has(run.id)) totals.failed++;
+  }
+
+  // per-step breakdown
+  const byStep = new Map(steps.map(s => [s.id, {
+    step_id: s.id, step_order: s.step_order, deleted: !!s.deleted_at, sent: 0, failed: 0, bounced: 0, replied: 0, pending: 0
+  }]));
+  const sentByRun = new Map();
+  for (const e of stepEvents) {
+    if (e.status === "sent") {
+      if (!sentByRun.has(e.sequence_run_id)) sentByRun.set(e.sequence_run_id, []);
+      sentByRun.get(e.sequence_run_id).push(e);
+    }
+    if (!inRange(e.created_at)) continue;
+    byStep.get(e.step_id)[e.status]++;
+    bump(e.created_at, e.status);
+  }
+  for (const reply of replies) {
+    if (!inRange(reply.created_at)) continue;
+    bump(reply.created_at, "replied");
+    const repliedAt = new Date(reply.created_at).getTime();
+    const last = (sentByRun.get(reply.sequence_run_id) || [])
+      .filter(e => new Date(e.created_at).getTime() <= repliedAt)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+    if (last) byStep.get(last.step_id).replied++;
+  }
+  for (const job of jobs) {
+    const step = byStep.get(job.step_id);
+    if (!FAILED_JOB_STATUSES.includes(job.status)) {
+      step.pending++;
+    } else if (inRange(job.updated_at)) {
+      step.failed++;
+      bump(job.updated_at, "failed");
+    }
+  }
+
+  return {
+    totals,
+    steps: [...byStep.values()].sort((a, b) => a.step_order - b.step_order || a.deleted - b.deleted),
+    series: [...series.values()]
+  };
+}
@@ -0,0 +1,104 @@
+// /api/api_keys.js
+// GET                                  -> the owner's API keys (never the key itself)
+// POST   { name, scopes, expires_at? } -> issue a key; the key is only returned here
+// DELETE { id }                        -> revoke a key (it stops working immediately)
+// Called either with the admin KAPTIV_API_KEY, naming the owner (owner_id in the query / body), or with one of
+// the owner's own keys that has the keys:write scope; such a key can only hand out scopes it has itself.
+import { createClient } from '@supabase/supabase-js';
+import { API_SCOPES, authorize, generateApiKey, isAdminKey, presentedKey } from '../authHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const MAX_ACTIVE_KEYS = 25;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+const KEY_COLUMNS = 'id, owner_id, name, prefix, scopes, last_used_at, expires_at, revoked_at, created_at';
+const isUUID = s => typeof s === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) return res.status(405).json({ error: 'Method not allowed' });
+
+  const body = req.body || {};
+  let owner_id;
+  let grantable = API_SCOPES;
+  if (isAdminKey(presentedKey(req))) {
+    owner_id = req.method === 'GET' ? req.query?.owner_id : body.owner_id;
+    if (!owner_id) return res.status(400).json({ error: 'owner_id required' });
+  } else {
+    const auth = await authorize(supabase, req, res, 'keys:write');
+    if (!auth) return;
+    owner_id = auth.ownerId;
+    grantable = auth.scopes;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const { data, error } = await supabase
+        .from('api_keys')
+        .select(KEY_COLUMNS)
+        .eq('owner_id', owner_id)
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+      return res.status(200).json({ ok: true, scopes: API_SCOPES, keys: data || [] });
+    }
+
+    if (req.method === 'POST') {
+      const name = typeof body.name === 'string' ? body.name.trim() : '';
+      if (!name) return res.status(400).json({ error: 'name required' });
+      if (!Array.isArray(body.scopes) || !body.scopes.length) return res.status(400).json({ error: 'scopes must be a non-empty list' });
+      const unknown = body.scopes.filter(s => !API_SCOPES.includes(s));
+      if (unknown.length) return res.status(400).json({ error: `unknown scopes: ${unknown.join(', ')}` });
+      const withheld = body.scopes.filter(s => !grantable.includes(s));
+      if (withheld.length) return res.status(403).json({ error: `this key can't grant: ${withheld.join(', ')}` });
+      let expiresAt = null;
+      if (body.expires_at != null) {
+        expiresAt = new Date(body.expires_at);
+        if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+          return res.status(400).json({ error: 'expires_at must be a future ISO datetime' });
+        }
+      }
+
+      const { count, error: countErr } = await supabase
+        .from('api_keys')
+        .select('id', { count: 'exact', head: true })
+        .eq('owner_id', owner_id)
+        .is('revoked_at', null);
+      if (countErr) throw countErr;
+      if (count >= MAX_ACTIVE_KEYS) return res.status(409).json({ error: `at most ${MAX_ACTIVE_KEYS} active API keys per owner` });
+
+      const { key, prefix, key_hash } = generateApiKey();
+      const { data, error } = await supabase
+        .from('api_keys')
+        .insert([{
+          owner_id,
+          name,
+          prefix,
+          key_hash,
+          scopes: [...new Set(body.scopes)],
+          expires_at: expiresAt ? expiresAt.toISOString() : null,
+          created_at: new Date().toISOString()
+        }])
+        .select(KEY_COLUMNS)
+        .single();
+      if (error) throw error;
+      return res.status(201).json({ ok: true, key, api_key: data });
+    }
+
+    // DELETE
+    if (!isUUID(body.id)) return res.status(400).json({ error: 'id must be a valid uuid' });
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', body.id)
+      .eq('owner_id', owner_id)
+      .is('revoked_at', null)
+      .select(KEY_COLUMNS);
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ error: 'API key not found or already revoked' });
+    return res.status(200).json({ ok: true, api_key: data[0] });
+  } catch (err) {
+    console.error('api_keys error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
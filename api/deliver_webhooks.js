@@ -0,0 +1,25 @@
+// /api/deliver_webhooks.js
+// GET (worker secret, run on a schedule) - POST due webhook deliveries to their endpoints.
+import { createClient } from '@supabase/supabase-js';
+import { deliverPending } from '../webhookHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const WORKER_SECRET = process.env.WORKER_SECRET;
+const BATCH_SIZE = parseInt(process.env.WEBHOOK_BATCH_SIZE || '50', 10);
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+export default async function handler(req, res) {
+  const incomingSecret = (req.headers['x-worker-secret'] || req.query?.secret)?.trim?.();
+  if (!WORKER_SECRET || incomingSecret !== WORKER_SECRET) return res.status(401).json({ error: 'unauthorized' });
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const summary = await deliverPending(supabase, { batchSize: BATCH_SIZE });
+    return res.status(200).json({ summary });
+  } catch (err) {
+    console.error('deliver_webhooks error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
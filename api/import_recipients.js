@@ -0,0 +1,145 @@
+// /api/import_recipients.js
+// POST { sequence_id, csv?: "<text with a header row>", rows?: [...], dry_run? }
+//   -> validates, dedupes and stores recipients in sequence_recipients (email, attributes) for /api/start_sequence.
+// csv needs an email column; every other column becomes a merge field (header "First Name" -> {{first_name}}).
+// rows takes the same entries as start_sequence's recipients. Rows are rejected for a missing or invalid address,
+// a duplicate within the import, an address already on the sequence, a suppression, or a merge field the
+// sequence uses that the row doesn't fill. Accepted rows are stored all-or-nothing; dry_run only reports.
+// Rows go in tagged with this import's import_id, which start_sequence skips; one update clears the tag once every
+// chunk is in, and a failure before that deletes the tagged rows with one statement.
+import { randomUUID } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { MAX_IMPORT_ROWS, cleanRecipients, csvToEntries } from '../importHelper.js';
+import { findSuppressed, normalizeEmail } from '../suppressionHelper.js';
+import { findMissingFields } from '../templateHelper.js';
+import { canSignTokens } from '../tokenHelper.js';
+import { stepTemplates } from '../variantHelper.js';
+import { authorize, ownsSequence } from '../authHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const INSERT_CHUNK = 500;
+const PAGE_SIZE = 1000;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+const isUUID = s => typeof s === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+
+// every address already on the sequence, normalized
+async function existingRecipients(sequence_id) {
+  const emails = new Set();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('sequence_recipients')
+      .select('email')
+      .eq('sequence_id', sequence_id)
+      .order('email', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    for (const r of data || []) emails.add(normalizeEmail(r.email));
+    if (!data || data.length < PAGE_SIZE) return emails;
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authorize(supabase, req, res, 'sequences:write');
+  if (!auth) return;
+
+  const owner_id = auth.ownerId;
+  const { sequence_id, csv, rows, dry_run } = req.body || {};
+  if (!isUUID(sequence_id)) return res.status(400).json({ error: 'sequence_id missing or invalid (must be uuid)' });
+  if ((csv == null) === (rows == null)) return res.status(400).json({ error: 'provide either csv or rows' });
+
+  let entries = rows;
+  if (csv != null) {
+    const parsed = csvToEntries(csv);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    entries = parsed.entries;
+  }
+  if (!Array.isArray(entries) || !entries.length) return res.status(400).json({ error: 'no rows to import' });
+  if (entries.length > MAX_IMPORT_ROWS) return res.status(400).json({ error: `at most ${MAX_IMPORT_ROWS} rows per import` });
+
+  try {
+    if (!(await ownsSequence(supabase, owner_id, sequence_id))) return res.status(404).json({ error: 'sequence not found' });
+    const { data: steps, error: stepsErr } = await supabase
+      .from('sequence_steps')
+      .select('subject, body_text, body_html, variants')
+      .eq('sequence_id', sequence_id)
+      .is('deleted_at', null);
+    if (stepsErr) throw stepsErr;
+    if (!steps?.length) return res.status(404).json({ error: 'sequence not found or has no steps' });
+
+    const { accepted: cleaned, rejected } = cleanRecipients(entries);
+    const existing = await existingRecipients(sequence_id);
+    const suppressed = await findSuppressed(supabase, owner_id, cleaned.map(r => r.email));
+    const templates = steps.flatMap(stepTemplates);
+    const builtIns = canSignTokens() ? { unsubscribe_url: 'set at send time' } : {};
+
+    const accepted = [];
+    for (const r of cleaned) {
+      const missing = findMissingFields(templates, { ...r.fields, ...builtIns, email: r.email });
+      if (existing.has(r.email)) rejected.push({ row: r.row, email: r.email, reason: 'already_recipient' });
+      else if (suppressed.has(r.email)) rejected.push({ row: r.row, email: r.email, reason: 'suppressed' });
+      else if (missing.length) rejected.push({ row: r.row, email: r.email, reason: 'missing_merge_fields', missing });
+      else accepted.push(r);
+    }
+    rejected.sort((a, b) => a.row - b.row);
+
+    const report = {
+      total: entries.length,
+      accepted: accepted.map(r => ({ row: r.row, email: r.email })),
+      rejected
+    };
+    if (dry_run || !accepted.length) {
+      return res.status(200).json({ ok: true, dry_run: !!dry_run, imported: 0, ...report });
+    }
+
+    const importId = randomUUID();
+    let imported = 0;
+    try {
+      for (let i = 0; i < accepted.length; i += INSERT_CHUNK) {
+        const now = new Date().toISOString();
+        const { data, error } = await supabase
+          .from('sequence_recipients')
+          .insert(accepted.slice(i, i + INSERT_CHUNK).map(r => ({
+            sequence_id,
+            email: r.email,
+            attributes: r.fields,
+            import_id: importId,
+            created_at: now
+          })))
+          .select('id');
+        if (error) throw error;
+        imported += (data || []).length;
+      }
+      const { error: releaseErr } = await supabase
+        .from('sequence_recipients')
+        .update({ import_id: null })
+        .eq('sequence_id', sequence_id)
+        .eq('import_id', importId);
+      if (releaseErr) throw releaseErr;
+    } catch (insertErr) {
+      console.error('import_recipients insert error', importId, insertErr);
+      const { error: rollbackErr } = await supabase
+        .from('sequence_recipients')
+        .delete()
+        .eq('sequence_id', sequence_id)
+        .eq('import_id', importId);
+      if (rollbackErr) console.error('import_recipients rollback error', importId, rollbackErr);
+      return res.status(500).json({
+        error: String(insertErr?.message || insertErr),
+        imported: 0,
+        // false: some rows could not be deleted; they keep import_id, so start_sequence never uses them
+        rolled_back: !rollbackErr,
+        import_id: importId
+      });
+    }
+
+    return res.status(201).json({ ok: true, dry_run: false, imported, ...report });
+  } catch (err) {
+    console.error('import_recipients error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
@@ -0,0 +1,158 @@
+// /api/job_admin.js - the scheduler's dead-letter queue and stalled runs (see jobQueueHelper.js)
+// GET  ?limit=&offset=                                    -> dead-lettered jobs with their error_history, newest first
+// POST { action: 'requeue', job_ids, scheduled_for? }     -> back to 'scheduled' with fresh attempts (default: now)
+// POST { action: 'discard', job_ids, continue_run? }      -> cancel the jobs; their runs are cancelled too, unless
+//                                                            continue_run: true skips to the step after the job's
+// POST { action: 'repair', run_ids?, after?, dry_run? }   -> queue the missing next step of runs whose worker sent a
+//                                                            step but never scheduled the next one (or complete them);
+//                                                            REPAIR_SCAN_LIMIT runs per call, continue with next_after
+// Owner keys see and act on their own jobs and runs (read to list, send to act). The admin KAPTIV_API_KEY can
+// only list, and only for the owner named by owner_id: acting on jobs sends or cancels, which it is not allowed to.
+import { createClient } from '@supabase/supabase-js';
+import { authorize, isAdminKey, presentedKey } from '../authHelper.js';
+import { cancelRuns, sendWindowRescheduler } from '../sequenceHelper.js';
+import { findStalledRuns, queueNextStep, repairRuns } from '../jobQueueHelper.js';
+import { runSteps } from '../versionHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const MAX_IDS = 200;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+const ACTIONS = ['requeue', 'discard', 'repair'];
+const DEAD_JOB_COLUMNS =
+  'id, owner_id, mailbox_id, to_email, subject, scheduled_for, timezone, status, attempts, last_error, error_history, dead_at, ' +
+  'sequence_run_id, step_id, branch_step_id, created_at, updated_at';
+const isUUID = s => typeof s === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+const isIdList = ids => Array.isArray(ids) && ids.length > 0 && ids.length <= MAX_IDS && ids.every(isUUID);
+
+// the owner's dead-lettered jobs among job_ids
+async function loadDeadJobs(owner_id, jobIds) {
+  const { data, error } = await supabase
+    .from('scheduled_emails')
+    .select(DEAD_JOB_COLUMNS)
+    .in('id', jobIds)
+    .eq('owner_id', owner_id)
+    .eq('status', 'dead');
+  if (error) throw error;
+  return data || [];
+}
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) return res.status(405).json({ error: 'Method not allowed' });
+
+  const body = req.body || {};
+  let owner_id;
+  if (isAdminKey(presentedKey(req))) {
+    if (req.method !== 'GET') return res.status(403).json({ error: 'the admin key can only list dead jobs' });
+    owner_id = req.query?.owner_id;
+    if (!owner_id) return res.status(400).json({ error: 'owner_id required' });
+  } else {
+    const auth = await authorize(supabase, req, res, req.method === 'GET' ? 'read' : 'send');
+    if (!auth) return;
+    owner_id = auth.ownerId;
+  }
+
+  try {
+    if (req.method === 'GET') {
+      const limit = Math.min(parseInt(req.query?.limit, 10) || 50, 200);
+      const offset = Math.max(parseInt(req.query?.offset, 10) || 0, 0);
+      const { data, error, count } = await supabase
+        .from('scheduled_emails')
+        .select(DEAD_JOB_COLUMNS, { count: 'exact' })
+        .eq('owner_id', owner_id)
+        .eq('status', 'dead')
+        .order('dead_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (error) throw error;
+      return res.status(200).json({ ok: true, total: count, limit, offset, jobs: data || [] });
+    }
+
+    if (!ACTIONS.includes(body.action)) return res.status(400).json({ error: `action must be one of ${ACTIONS.join(', ')}` });
+
+    if (body.action === 'repair') {
+      if (body.run_ids != null && !isIdList(body.run_ids)) {
+        return res.status(400).json({ error: `run_ids must be a list of 1 to ${MAX_IDS} uuids` });
+      }
+      if (body.after != null && !isUUID(body.after)) return res.status(400).json({ error: 'after must be a valid uuid' });
+      const { stalled, next_after } = await findStalledRuns(supabase, { owner_id, run_ids: body.run_ids, after: body.after });
+      if (body.dry_run) {
+        return res.status(200).json({
+          ok: true,
+          dry_run: true,
+          next_after,
+          runs: stalled.map(({ run, job }) => ({ run_id: run.id, last_sent_job_id: job.id, last_sent_at: job.updated_at }))
+        });
+      }
+      const runs = await repairRuns(supabase, stalled);
+      return res.status(200).json({ ok: true, repaired: runs.filter(r => r.repaired).length, next_after, runs });
+    }
+
+    if (!isIdList(body.job_ids)) return res.status(400).json({ error: `job_ids must be a list of 1 to ${MAX_IDS} uuids` });
+    const jobs = await loadDeadJobs(owner_id, body.job_ids);
+    const notDead = body.job_ids.filter(id => !jobs.some(j => j.id === id));
+    const now = new Date().toISOString();
+
+    if (body.action === 'requeue') {
+      let when = new Date();
+      if (body.scheduled_for != null) {
+        when = new Date(body.scheduled_for);
+        if (Number.isNaN(when.getTime())) return res.status(400).json({ error: 'scheduled_for must be a valid ISO datetime' });
+      }
+      // attempts start over; error_history is kept so the earlier failures stay visible
+      const { data, error } = await supabase
+        .from('scheduled_emails')
+        .update({ status: 'scheduled', scheduled_for: when.toISOString(), attempts: 0, dead_at: null, lease_expires_at: null, updated_at: now })
+        .in('id', jobs.map(j => j.id))
+        .eq('status', 'dead')
+        .select('id, scheduled_for');
+      if (error) throw error;
+      return res.status(200).json({ ok: true, requeued: data || [], not_dead: notDead });
+    }
+
+    // discard
+    const { data: discarded, error: discardErr } = await supabase
+      .from('scheduled_emails')
+      .update({ status: 'cancelled', last_error: 'discarded', dead_at: null, updated_at: now })
+      .in('id', jobs.map(j => j.id))
+      .eq('status', 'dead')
+      .select('id');
+    if (discardErr) throw discardErr;
+    const discardedIds = new Set((discarded || []).map(j => j.id));
+
+    const runs = [];
+    const reschedule = sendWindowRescheduler(supabase);
+    const stepCache = new Map();
+    for (const job of jobs.filter(j => j.sequence_run_id && discardedIds.has(j.id))) {
+      if (!body.continue_run) {
+        await cancelRuns(supabase, { owner_id: job.owner_id, run_id: job.sequence_run_id });
+        runs.push({ run_id: job.sequence_run_id, cancelled: true });
+        continue;
+      }
+      const { data: run, error: runErr } = await supabase
+        .from('sequence_runs')
+        .select('id, owner_id, sequence_id, version_id, recipient_email, mailbox_id, status')
+        .eq('id', job.sequence_run_id)
+        .maybeSingle();
+      if (runErr) throw runErr;
+      if (!run || !['active', 'paused'].includes(run.status)) continue;
+
+      // the discarded step counts as done and the one after it by step_order is queued from now; its own
+      // branches are ignored, since nothing was sent that could be opened or clicked
+      const steps = await runSteps(supabase, run, stepCache);
+      const step = steps.find(s => s.id === job.step_id);
+      if (!step) {
+        await cancelRuns(supabase, { owner_id: job.owner_id, run_id: run.id });
+        runs.push({ run_id: run.id, cancelled: true });
+        continue;
+      }
+      const next = await queueNextStep(supabase, { run, job, step: { ...step, branches: null }, steps, reschedule });
+      runs.push({ run_id: run.id, completed: !!next.completed, scheduled_email_id: next.job?.id || null });
+    }
+    return res.status(200).json({ ok: true, discarded: [...discardedIds], not_dead: notDead, runs });
+  } catch (err) {
+    console.error('job_admin error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
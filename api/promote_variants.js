@@ -0,0 +1,59 @@
+// /api/promote_variants.js
+// POST (worker secret, run on a schedule) - for A/B steps with variants.auto_promote and no winner yet,
+// move all weight to the winning variant once every variant has min_sends sends and the leader is
+// significantly ahead on the chosen metric. Jobs already assigned a variant keep it.
+import { createClient } from '@supabase/supabase-js';
+import { pickWinner, promoteVariant, variantStats } from '../variantHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const WORKER_SECRET = process.env.WORKER_SECRET;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+export default async function handler(req, res) {
+  const incomingSecret = (req.headers['x-worker-secret'] || '').trim();
+  if (!WORKER_SECRET || incomingSecret !== WORKER_SECRET) return res.status(401).json({ error: 'unauthorized' });
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { data: steps, error } = await supabase
+      .from('sequence_steps')
+      .select('id, step_order, variants')
+      .is('deleted_at', null)
+      .not('variants->auto_promote', 'is', null)
+      .is('variants->winner', null);
+    if (error) throw error;
+
+    const promoted = [];
+    const failures = [];
+    for (const step of steps || []) {
+      try {
+        const [stats] = await variantStats(supabase, [step]);
+        const winner = stats && pickWinner(stats.variants, step.variants.auto_promote);
+        if (!winner) continue;
+
+        // only promote if nobody rewrote the variants since they were read
+        const { data: updated, error: updErr } = await supabase
+          .from('sequence_steps')
+          .update({ variants: promoteVariant(step.variants, winner), updated_at: new Date().toISOString() })
+          .eq('id', step.id)
+          .eq('variants', JSON.stringify(step.variants))
+          .select('id');
+        if (updErr) throw updErr;
+        if (updated?.length) {
+          promoted.push({ step_id: step.id, winner, metric: step.variants.auto_promote.metric });
+          console.log('Promoted variant', winner, 'for step', step.id);
+        }
+      } catch (err) {
+        console.error('promote_variants step error', step.id, err);
+        failures.push({ step_id: step.id, message: String(err?.message || err) });
+      }
+    }
+
+    return res.status(200).json({ ok: true, checked: (steps || []).length, promoted, failures });
+  } catch (err) {
+    console.error('promote_variants error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
@@ -0,0 +1,26 @@
+// /api/rotate_credential_keys.js
+// POST (worker secret) - re-encrypt stored refresh tokens under TOKEN_ENCRYPTION_KEY_ID.
+// Run after adding a new key to TOKEN_ENCRYPTION_KEYS; the old key can be removed once `failed` is empty.
+import { createClient } from '@supabase/supabase-js';
+import { rotateCredentialKeys } from '../credentialHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const WORKER_SECRET = process.env.WORKER_SECRET;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+export default async function handler(req, res) {
+  const incomingSecret = (req.headers['x-worker-secret'] || '').trim();
+  if (!WORKER_SECRET || incomingSecret !== WORKER_SECRET) return res.status(401).json({ error: 'unauthorized' });
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const result = await rotateCredentialKeys(supabase);
+    if (result.failed.length) console.error('rotate_credential_keys failures', result.failed);
+    return res.status(200).json({ ok: true, ...result });
+  } catch (err) {
+    console.error('rotate_credential_keys error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
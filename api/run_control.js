@@ -0,0 +1,40 @@
+// /api/run_control.js
+// POST { action: 'pause' | 'resume' | 'cancel', run_id?, sequence_id? }  (the owner is the API key's)
+// Scope: a single run (run_id), every run of a sequence (sequence_id) or every run of the owner (neither).
+import { createClient } from '@supabase/supabase-js';
+import { cancelRuns, pauseRuns, resumeRuns, sendWindowRescheduler } from '../sequenceHelper.js';
+import { authorize } from '../authHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+const ACTIONS = ['pause', 'resume', 'cancel'];
+const isUUID = s => typeof s === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authorize(supabase, req, res, 'sequences:write');
+  if (!auth) return;
+
+  const owner_id = auth.ownerId;
+  const { action, run_id, sequence_id } = req.body || {};
+  if (!ACTIONS.includes(action)) return res.status(400).json({ error: `action must be one of ${ACTIONS.join(', ')}` });
+  if (run_id && !isUUID(run_id)) return res.status(400).json({ error: 'run_id must be a valid uuid' });
+  if (sequence_id && !isUUID(sequence_id)) return res.status(400).json({ error: 'sequence_id must be a valid uuid' });
+
+  const scope = { owner_id, run_id, sequence_id };
+  try {
+    let result;
+    if (action === 'pause') result = await pauseRuns(supabase, scope, { reason: 'manual' });
+    else if (action === 'resume') result = await resumeRuns(supabase, scope, { reschedule: sendWindowRescheduler(supabase) });
+    else result = await cancelRuns(supabase, scope);
+
+    return res.status(200).json({ ok: true, action, ...result });
+  } catch (err) {
+    console.error('run_control error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
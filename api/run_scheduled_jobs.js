@@ -1,108 +1,40 @@
 // /api/run_scheduled_jobs.js
+// Sends due scheduled_emails. Claims, leases, retries and dead-lettering are in jobQueueHelper.js.
 import { createClient } from '@supabase/supabase-js';
-import { google } from 'googleapis';
+import { findMissingFields, renderTemplate } from '../templateHelper.js';
+import { htmlToText, replySubject } from '../mimeHelper.js';
+import { loadAttachments } from '../attachmentHelper.js';
+import { addTracking, trackingContext } from '../trackingHelper.js';
+import { isSuppressed, listUnsubscribeHeaders, unsubscribeUrl } from '../suppressionHelper.js';
+import { pauseRuns, runEventData, stopRun } from '../sequenceHelper.js';
+import { nextSendTime, parseSendWindow } from '../scheduleHelper.js';
+import { THROTTLE_COLUMNS, checkSendAllowed, releaseSend, reserveSend } from '../throttleHelper.js';
+import { getCredential, suspendMailbox } from '../credentialHelper.js';
+import { SENDER_COLUMNS, hasReplied, isCredentialError, sendMessage } from '../providerHelper.js';
+import { chooseBranch } from '../branchHelper.js';
+import { pickVariant, promoteVariant, variantContent } from '../variantHelper.js';
+import { runSteps } from '../versionHelper.js';
+import { emitEvent } from '../webhookHelper.js';
+import { claimJobs, queueNextStep, recordFailure } from '../jobQueueHelper.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
-const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
-const REDIRECT_URI = process.env.REDIRECT_URI;
-const EMAIL_FROM = process.env.EMAIL_FROM || 'me';
 const WORKER_SECRET = process.env.WORKER_SECRET;
 const BATCH_SIZE = parseInt(process.env.JOB_BATCH_SIZE || '20', 10);
-const MAX_ATTEMPTS = 5;
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
-/* ----------------------
-   Gmail helpers
-   ---------------------- */
-function createOAuthClient(refreshToken) {
-  const oAuth2Client = new google.auth.OAuth2(
-    GOOGLE_CLIENT_ID,
-    GOOGLE_CLIENT_SECRET,
-    REDIRECT_URI
-  );
-  oAuth2Client.setCredentials({ refresh_token: refreshToken });
-  return oAuth2Client;
-}
-
-/**
- * Send email via Gmail. Returns { messageId, threadId } on success.
- */
-async function sendEmailViaGmail(refreshToken, fromEmail, to, subject, body_text) {
-  const oAuth2Client = createOAuthClient(refreshToken);
-  const gmail = google.gmail({ version: 'v1', auth: oAuth2Client });
-
-  const rawLines = [
-    `From: ${fromEmail}`,
-    `To: ${to}`,
-    `Subject: ${subject}`,
-    'Content-Type: text/plain; charset=utf-8',
-    '',
-    body_text || ''
-  ];
-  const raw = Buffer.from(rawLines.join('\n'))
-    .toString('base64')
-    .replace(/\+/g, '-')
-    .replace(/\//g, '_')
-    .replace(/=+$/, '');
-
-  const res = await gmail.users.messages.send({
-    userId: 'me',
-    requestBody: { raw }
-  });
-
-  // Gmail send returns data.id and data.threadId
-  return { messageId: res?.data?.id || null, threadId: res?.data?.threadId || null };
-}
-
-/**
- * Check if recipient has replied in the given thread *after* sinceTimestamp (ms).
- * Returns true/false.
- */
-async function recipientHasReplied(refreshToken, threadId, recipientEmail, sinceTimestampMs) {
-  if (!threadId) return false;
-  const oAuth2Client = createOAuthClient(refreshToken);
-  const gmail = google.gmail({ version: 'v1', auth: oAuth2Client });
-
-  try {
-    // List messages in that thread (we limit to avoid large loops)
-    const listRes = await gmail.users.messages.list({
-      userId: 'me',
-      q: `in:inbox threadId:${threadId}`,
-      maxResults: 20
-    });
-
-    const messages = listRes.data.messages || [];
-    for (const m of messages) {
-      try {
-        const msg = await gmail.users.messages.get({
-          userId: 'me',
-          id: m.id,
-          format: 'metadata',
-          metadataHeaders: ['From', 'Date']
-        });
-
-        const headers = msg.data.payload?.headers || [];
-        const fromHeader = headers.find(h => h.name.toLowerCase() === 'from')?.value || '';
-        const dateHeader = headers.find(h => h.name.toLowerCase() === 'date')?.value;
-        const dateMs = dateHeader ? new Date(dateHeader).getTime() : 0;
-
-        if (fromHeader.toLowerCase().includes(recipientEmail.toLowerCase()) && dateMs > (sinceTimestampMs || 0)) {
-          // Found a reply from the recipient after our last send time
-          return true;
-        }
-      } catch (innerErr) {
-        // ignore per-message errors, continue checking other messages
-        console.warn('recipientHasReplied: error fetching message', m.id, innerErr?.message || innerErr);
-      }
-    }
-  } catch (err) {
-    console.warn('recipientHasReplied: error listing messages for thread', threadId, err?.message || err);
-    // if listing fails, assume no reply (fail-safe), or you can choose to not schedule next step
-  }
-  return false;
+// `data` of the email.sent / email.failed webhooks
+function emailEventData(job, extra = {}) {
+  return {
+    scheduled_email_id: job.id,
+    to_email: job.to_email,
+    mailbox_id: job.mailbox_id || null,
+    sequence_run_id: job.sequence_run_id || null,
+    step_id: job.step_id || null,
+    variant_id: job.variant_id || null,
+    ...extra
+  };
 }
 
 /* ----------------------
@@ -128,29 +60,59 @@ export default async function handler(req, res) {
   }
 
   try {
-    // 1) Claim jobs atomically via your existing RPC
-    const { data: claimedJobs, error: rpcError } = await supabase
-      .rpc('claim_scheduled_emails', { batch_size: BATCH_SIZE });
-
-    if (rpcError) throw rpcError;
+    // 1) Claim due jobs under a lease; jobs left behind by a worker that died are picked up again here
+    const { jobs: claimedJobs, reclaimed, dead } = await claimJobs(supabase, { batchSize: BATCH_SIZE });
 
-    if (!claimedJobs || claimedJobs.length === 0) {
-      return res.status(200).json({ summary: 'no jobs', claimed: 0 });
+    if (claimedJobs.length === 0) {
+      return res.status(200).json({ summary: 'no jobs', claimed: 0, reclaimed, dead_lettered: dead });
     }
 
-    let summary = { claimed: claimedJobs.length, sent: 0, failed: 0, skipped: 0, failures: [] };
+    let summary = {
+      claimed: claimedJobs.length, reclaimed, sent: 0, failed: 0, skipped: 0, deferred: 0, paused: 0, dead_lettered: dead, failures: []
+    };
+
+    // credentials are cached per mailbox for the batch so send counters carry over between jobs
+    // (jobs queued before mailboxes were pinned have no mailbox_id; they are pinned to the owner's default below)
+    const credCache = new Map();
+    // steps per sequence version (or draft, for runs enrolled before versions) for the batch
+    const stepCache = new Map();
+
+    // Hold a job whose mailbox can't send (needs_reauth / disconnected); its run is paused with the same
+    // reason so reconnecting the mailbox resumes it
+    const holdJob = async (job, reason) => {
+      if (job.sequence_run_id) await pauseRuns(supabase, { owner_id: job.owner_id, run_id: job.sequence_run_id }, { reason });
+      await supabase.from('scheduled_emails').update({
+        status: 'paused',
+        last_error: reason,
+        updated_at: new Date().toISOString()
+      }).eq('id', job.id);
+      summary.paused++;
+    };
 
     for (const job of claimedJobs) {
       const jobId = job.id;
+      let cred = null;
       try {
-        // fetch credential for owner (email + refresh_token)
-        const { data: cred, error: credErr } = await supabase
-          .from('credentials')
-          .select('email, refresh_token')
-          .eq('owner_id', job.owner_id)
-          .maybeSingle();
+        // fetch the sending mailbox (email + refresh_token + status + throttle counters)
+        const cacheKey = job.mailbox_id || `default:${job.owner_id}`;
+        cred = credCache.get(cacheKey);
+        if (!cred) {
+          cred = await getCredential(supabase, job.owner_id, `${SENDER_COLUMNS}, ${THROTTLE_COLUMNS}`, { mailboxId: job.mailbox_id });
+          if (cred) {
+            cred = credCache.get(cred.id) || cred;
+            credCache.set(cacheKey, cred);
+            credCache.set(cred.id, cred);
+          }
+        }
 
-        if (credErr) throw credErr;
+        if (cred && !job.mailbox_id) {
+          // pin the job (and its run) so suspending or resuming this mailbox finds them
+          await supabase.from('scheduled_emails').update({ mailbox_id: cred.id }).eq('id', jobId).is('mailbox_id', null);
+          if (job.sequence_run_id) {
+            await supabase.from('sequence_runs').update({ mailbox_id: cred.id }).eq('id', job.sequence_run_id).is('mailbox_id', null);
+          }
+          job.mailbox_id = cred.id;
+        }
 
         if (!cred?.refresh_token) {
           // mark failed - no refresh token
@@ -160,27 +122,242 @@ export default async function handler(req, res) {
             updated_at: new Date().toISOString()
           }).eq('id', jobId);
 
+          await emitEvent(supabase, job.owner_id, 'email.failed', emailEventData(job, { error: 'no_refresh_token' }));
           summary.failed++;
           summary.failures.push({ id: jobId, reason: 'no refresh token' });
           continue;
         }
 
-        // Attempt to send
-        const { messageId, threadId } = await sendEmailViaGmail(
-          cred.refresh_token,
-          cred.email || EMAIL_FROM,
-          job.to_email,
-          job.subject,
-          job.body_text
-        );
+        if (cred.status === 'needs_reauth' || cred.status === 'disconnected') {
+          await holdJob(job, cred.status);
+          continue;
+        }
+
+        // Never email suppressed recipients; their runs end as unsubscribed
+        if (await isSuppressed(supabase, job.owner_id, job.to_email)) {
+          await supabase.from('scheduled_emails').update({
+            status: 'cancelled',
+            last_error: 'suppressed',
+            updated_at: new Date().toISOString()
+          }).eq('id', jobId);
+          if (job.sequence_run_id) {
+            await stopRun(supabase, job.sequence_run_id, 'unsubscribed', { reason: 'suppressed' });
+          }
+
+          summary.skipped++;
+          continue;
+        }
+
+        // Sequence jobs: load the run (recipient fields + thread state), whether this step starts a new thread,
+        // and the sequence's tracking switches. One-off jobs carry their own tracking flags.
+        let run = null;
+        let steps = [];
+        let startsNewThread = false;
+        let tracking = { opens: !!job.track_opens, clicks: !!job.track_clicks };
+        let sendWindow = null;
+        if (job.sequence_run_id) {
+          const { data: runState, error: runStateErr } = await supabase
+            .from('sequence_runs')
+            .select('id, sequence_id, version_id, mailbox_id, status, recipient_email, created_at, last_sent_at, merge_fields, thread_id, thread_subject, last_rfc_message_id, thread_references')
+            .eq('id', job.sequence_run_id)
+            .maybeSingle();
+          if (runStateErr) throw runStateErr;
+          run = runState;
+
+          // the run may have been paused or stopped (reply, unsubscribe, cancel, ...) after this job was queued;
+          // paused runs keep the job on hold so resuming can reschedule it
+          if (!run || run.status !== 'active') {
+            const held = run?.status === 'paused';
+            await supabase.from('scheduled_emails').update({
+              status: held ? 'paused' : 'cancelled',
+              last_error: held ? undefined : `run_${run?.status || 'missing'}`,
+              updated_at: new Date().toISOString()
+            }).eq('id', jobId);
+            summary.skipped++;
+            continue;
+          }
+
+          // replies that arrived during the delay stop the sequence before the next step goes out
+          const sinceMs = new Date(run.last_sent_at || run.created_at || 0).getTime();
+          const replied = run.last_sent_at && await hasReplied(supabase, cred, {
+            threadId: run.thread_id,
+            rfcMessageId: run.last_rfc_message_id,
+            email: run.recipient_email || job.to_email,
+            sinceMs
+          });
+          if (replied) {
+            await supabase.from('scheduled_emails').update({
+              status: 'cancelled',
+              last_error: 'replied',
+              updated_at: new Date().toISOString()
+            }).eq('id', jobId);
+            await stopRun(supabase, job.sequence_run_id, 'stopped', { reason: 'replied', event: { status: 'replied' } });
+            console.log(`Sequence run ${job.sequence_run_id} stopped due to reply from ${run.recipient_email}`);
+            summary.skipped++;
+            continue;
+          }
+
+          // the run's steps come from the sequence version it is pinned to, so draft edits don't reach it
+          steps = await runSteps(supabase, run, stepCache);
+
+          // branch decision: this job was queued behind a branching step; pick the step it actually sends
+          if (job.branch_step_id) {
+            const branchStep = steps.find(s => s.id === job.branch_step_id);
+            const decision = branchStep
+              ? await chooseBranch(supabase, job.sequence_run_id, branchStep, steps)
+              : { step: null, rule: null };
+            const now = new Date().toISOString();
+            if (!decision.step) {
+              await supabase.from('scheduled_emails').update({ status: 'cancelled', last_error: 'branch_end', updated_at: now }).eq('id', jobId);
+              await supabase.from('sequence_runs').update({ status: 'completed', updated_at: now }).eq('id', job.sequence_run_id);
+              await emitEvent(supabase, job.owner_id, 'run.completed', runEventData(run, { reason: 'branch_end' }));
+              console.log('Sequence run completed by branch', job.sequence_run_id, 'rule', decision.rule);
+              summary.skipped++;
+              continue;
+            }
+
+            const chosen = {
+              step_id: decision.step.id,
+              subject: decision.step.subject,
+              body_text: decision.step.body_text,
+              body_html: decision.step.body_html || null,
+              attachments: decision.step.attachments || null,
+              branch_step_id: null
+            };
+            const { error: chooseErr } = await supabase.from('scheduled_emails').update({ ...chosen, updated_at: now }).eq('id', jobId);
+            if (chooseErr) throw chooseErr;
+            Object.assign(job, chosen);
+          }
+
+          if (job.step_id) {
+            const stepOpts = steps.find(s => s.id === job.step_id);
+            startsNewThread = !!stepOpts?.new_thread;
+
+            // auto-promotion writes the winner to the draft step; pinned runs follow it too
+            let variants = stepOpts?.variants;
+            if (!job.variant_id && variants?.auto_promote && run.version_id) {
+              const { data: live, error: liveErr } = await supabase
+                .from('sequence_steps')
+                .select('variants')
+                .eq('id', job.step_id)
+                .maybeSingle();
+              if (liveErr) throw liveErr;
+              const winner = live?.variants?.winner;
+              if (winner && variants.items.some(v => v.id === winner)) variants = promoteVariant(variants, winner);
+            }
+
+            // A/B step: pick this recipient's variant once and keep it on the job, so retries send the same one
+            const variant = !job.variant_id && stepOpts ? pickVariant(variants) : null;
+            if (variant) {
+              const assigned = { variant_id: variant.id, ...variantContent(stepOpts, variant) };
+              const { error: variantErr } = await supabase.from('scheduled_emails')
+                .update({ ...assigned, updated_at: new Date().toISOString() })
+                .eq('id', jobId);
+              if (variantErr) throw variantErr;
+              Object.assign(job, assigned);
+            }
+
+            if (run.sequence_id) {
+              const { data: seqOpts, error: seqOptsErr } = await supabase
+                .from('sequences')
+                .select('track_opens, track_clicks, send_window')
+                .eq('id', run.sequence_id)
+                .maybeSingle();
+              if (seqOptsErr) throw seqOptsErr;
+              tracking = { opens: !!seqOpts?.track_opens, clicks: !!seqOpts?.track_clicks };
+
+              const parsed = parseSendWindow(seqOpts?.send_window);
+              if (parsed.error) console.warn('Ignoring invalid send_window for sequence', run.sequence_id, parsed.error);
+              sendWindow = parsed.window;
+            }
+          }
+        }
+
+        // Render merge fields at send time: job-level fields, overlaid by the run's recipient fields
+        const unsubUrl = unsubscribeUrl(job.owner_id, job.to_email, job.sequence_run_id);
+        const mergeFields = {
+          ...(job.merge_fields || {}),
+          ...(run?.merge_fields || {}),
+          email: job.to_email,
+          unsubscribe_url: unsubUrl || undefined
+        };
+
+        const missingFields = findMissingFields([job.subject, job.body_text, job.body_html], mergeFields);
+        if (missingFields.length) {
+          // retrying won't help - the recipient data has to be fixed first
+          await supabase.from('scheduled_emails').update({
+            status: 'failed',
+            last_error: `missing_merge_fields: ${missingFields.join(', ')}`,
+            updated_at: new Date().toISOString()
+          }).eq('id', jobId);
+
+          await emitEvent(supabase, job.owner_id, 'email.failed', emailEventData(job, { error: 'missing_merge_fields', fields: missingFields }));
+          summary.failed++;
+          summary.failures.push({ id: jobId, reason: 'missing merge fields', fields: missingFields });
+          continue;
+        }
+
+        // Per-mailbox daily cap / spacing / warm-up: over-limit jobs are pushed back, not failed. The send takes
+        // its slot of the cap up front (atomically, shared with /send_email) and gives it back if it fails.
+        let allowance = checkSendAllowed(cred);
+        if (allowance.allowed) allowance = await reserveSend(supabase, cred);
+        if (!allowance.allowed) {
+          const deferredTo = nextSendTime(allowance.deferUntil, { timezone: job.timezone, window: sendWindow });
+          await supabase.from('scheduled_emails').update({
+            status: 'scheduled',
+            scheduled_for: deferredTo.toISOString(),
+            updated_at: new Date().toISOString()
+          }).eq('id', jobId);
+
+          summary.deferred++;
+          continue;
+        }
+
+        // Follow-ups go into the stored thread as replies unless the step asks for a fresh thread
+        // (providers without thread ids thread by In-Reply-To/References alone)
+        const isReply = !!((run?.thread_id || run?.last_rfc_message_id) && run?.thread_subject && !startsNewThread);
+        const subject = isReply ? replySubject(run.thread_subject) : renderTemplate(job.subject, mergeFields);
+
+        // Attempt to send (a generated plain-text part comes from the html before tracking rewrites its links)
+        const renderedHtml = renderTemplate(job.body_html, mergeFields, { html: true });
+        let sent;
+        try {
+          const attachments = await loadAttachments(supabase, job.attachments);
+          sent = await sendMessage(supabase, cred, {
+            to: job.to_email,
+            subject,
+            text: renderTemplate(job.body_text, mergeFields) || (renderedHtml ? htmlToText(renderedHtml) : ''),
+            html: addTracking(
+              renderedHtml,
+              trackingContext({ sequence_run_id: job.sequence_run_id, step_id: job.step_id, scheduled_email_id: jobId, variant_id: job.variant_id }),
+              tracking
+            ),
+            attachments,
+            threadId: isReply ? run.thread_id || undefined : undefined,
+            inReplyTo: isReply ? run.last_rfc_message_id : undefined,
+            references: isReply ? (run.thread_references || run.last_rfc_message_id) : undefined,
+            headers: listUnsubscribeHeaders(unsubUrl)
+          });
+        } catch (sendErr) {
+          await releaseSend(supabase, cred);
+          throw sendErr;
+        }
+        const { messageId, threadId, rfcMessageId } = sent;
 
         // Update scheduled_emails row to mark sent
         await supabase.from('scheduled_emails').update({
           status: 'sent',
           message_id: messageId || null,
+          rfc_message_id: rfcMessageId,
           updated_at: new Date().toISOString()
         }).eq('id', jobId);
 
+        await emitEvent(supabase, job.owner_id, 'email.sent', emailEventData(job, {
+          subject,
+          message_id: messageId || null,
+          rfc_message_id: rfcMessageId,
+          thread_id: threadId || null
+        }));
         summary.sent++;
 
         // --- Sequence-specific post-send logic (if applicable) ---
@@ -190,106 +367,58 @@ export default async function handler(req, res) {
             await supabase.from('email_events').insert([{
               sequence_run_id: job.sequence_run_id,
               step_id: job.step_id,
+              variant_id: job.variant_id || null,
               message_id: messageId || null,
               status: 'sent',
               sent_at: new Date().toISOString(),
               created_at: new Date().toISOString()
             }]);
 
-            // 2) Find the step_order for this step
-            const { data: stepRow, error: stepErr } = await supabase
-              .from('sequence_steps')
-              .select('step_order, sequence_id')
-              .eq('id', job.step_id)
-              .maybeSingle();
-            if (stepErr) throw stepErr;
+            // 2) Find the step_order (and branches) for this step in the run's version
+            const stepRow = steps.find(s => s.id === job.step_id);
             const currentStepOrder = stepRow?.step_order || null;
-            const sequenceId = stepRow?.sequence_id || null;
+            const sequenceId = run?.sequence_id || null;
 
-            // 3) Update sequence_runs: set current_step, thread_id (if not present), last_sent_at
+            // 3) Update sequence_runs: set current_step, thread state (reset when this step started a new thread), last_sent_at
+            const references = isReply
+              ? [run.thread_references || run.last_rfc_message_id, rfcMessageId].filter(Boolean).join(' ')
+              : rfcMessageId;
             await supabase.from('sequence_runs').update({
               current_step: currentStepOrder,
               thread_id: (threadId ? threadId : undefined),
+              thread_subject: isReply ? undefined : subject,
+              last_rfc_message_id: rfcMessageId,
+              thread_references: references,
               last_sent_at: new Date().toISOString(),
               updated_at: new Date().toISOString()
             }).eq('id', job.sequence_run_id);
 
-            // 4) Check for reply - use last_sent_at as sinceTimestamp
-            const { data: runRow, error: runErr } = await supabase
-              .from('sequence_runs')
-              .select('recipient_email, last_sent_at, thread_id, owner_id')
-              .eq('id', job.sequence_run_id)
-              .maybeSingle();
-            if (runErr) throw runErr;
-
-            const sinceMs = runRow?.last_sent_at ? new Date(runRow.last_sent_at).getTime() : Date.now();
-            const recipientEmail = runRow?.recipient_email;
-            const runThreadId = runRow?.thread_id || threadId || null;
-
-            const replied = await recipientHasReplied(cred.refresh_token, runThreadId, recipientEmail, sinceMs);
-
-            if (replied) {
-              // mark run stopped
-              await supabase.from('sequence_runs').update({
-                status: 'stopped',
-                updated_at: new Date().toISOString()
-              }).eq('id', job.sequence_run_id);
-              console.log(`Sequence run ${job.sequence_run_id} stopped due to reply from ${recipientEmail}`);
-              // don't schedule next step
-              continue;
-            }
-
-            // 5) Find next step (step_order > currentStepOrder)
-            if (sequenceId != null && currentStepOrder != null) {
-              const { data: nextStep, error: nextStepErr } = await supabase
-                .from('sequence_steps')
-                .select('id, step_order, subject, body_text, delay_days')
-                .eq('sequence_id', sequenceId)
-                .gt('step_order', currentStepOrder)
-                .order('step_order', { ascending: true })
-                .limit(1)
-                .maybeSingle();
-
-              if (nextStepErr) throw nextStepErr;
-
-              if (nextStep) {
-                // compute scheduled_for = now + delay_days
-                const delayDays = Number(nextStep.delay_days || 0);
-                const scheduledFor = new Date(Date.now() + delayDays * 24 * 60 * 60 * 1000).toISOString();
-
-                // Insert next scheduled_emails row
-                const { data: newJob, error: newJobErr } = await supabase.from('scheduled_emails')
-                  .insert([{
-                    owner_id: job.owner_id,
-                    to_email: recipientEmail,
-                    subject: nextStep.subject,
-                    body_text: nextStep.body_text,
-                    scheduled_for: scheduledFor,
-                    timezone: job.timezone || 'Asia/Singapore',
-                    status: 'scheduled',
-                    attempts: 0,
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString(),
-                    sequence_run_id: job.sequence_run_id,
-                    step_id: nextStep.id
-                  }])
-                  .select()
-                  .single();
-
-                if (newJobErr) throw newJobErr;
-                console.log('Scheduled next step for run', job.sequence_run_id, 'next step id', nextStep.id);
-              } else {
-                // no more steps -> mark sequence run completed
-                await supabase.from('sequence_runs').update({
-                  status: 'completed',
-                  updated_at: new Date().toISOString()
-                }).eq('id', job.sequence_run_id);
-                console.log('Sequence run completed', job.sequence_run_id);
-              }
+            // 4) Replies are detected before each send and by /api/sync_inbox, not right after sending
+
+            // 5) Queue the next step (or the branch decision), or complete the run when nothing follows
+            if (sequenceId != null && stepRow) {
+              const next = await queueNextStep(supabase, {
+                run,
+                job,
+                step: stepRow,
+                steps,
+                reschedule: when => nextSendTime(when, { timezone: job.timezone || 'Asia/Singapore', window: sendWindow })
+              });
+              if (next.completed) console.log('Sequence run completed', job.sequence_run_id);
+              else console.log('Scheduled next step for run', job.sequence_run_id, next.job.branch_step_id ? 'branch decision after step' : 'next step id', next.job.branch_step_id || next.job.step_id);
+            } else if (sequenceId != null) {
+              // the run's version has no such step (it was moved to another version while this job was out),
+              // so there is no telling what comes next: end the run rather than leave it waiting forever
+              console.warn('Step', job.step_id, 'is not in the version of run', job.sequence_run_id, '- completing the run');
+              await stopRun(supabase, job.sequence_run_id, 'completed', { reason: 'step_not_in_version' });
             }
           } catch (seqErr) {
             console.error('sequence post-send error for job', jobId, seqErr);
-            // we don't propagate to outer try: job already marked sent; record issue in last_error?
+            // the job is sent, so it is not retried; the run is left without its next step until
+            // /api/job_admin { action: 'repair' } picks it up
+            await supabase.from('scheduled_emails').update({
+              last_error: `post_send: ${String(seqErr?.message || seqErr)}`.slice(0, 1000)
+            }).eq('id', jobId);
             await supabase.from('email_events').insert([{
               sequence_run_id: job.sequence_run_id,
               step_id: job.step_id,
@@ -303,27 +432,26 @@ export default async function handler(req, res) {
         } // end sequence-specific logic
 
       } catch (err) {
-        // on failure: backoff or fail
-        try {
-          const attempts = job.attempts || 1;
-          if (attempts < MAX_ATTEMPTS) {
-            const backoffMs = Math.pow(2, attempts) * 60 * 1000;
-            const nextRun = new Date(Date.now() + backoffMs).toISOString();
+        // revoked/expired access: retrying can't help, so hold everything on this mailbox until it is reconnected
+        if (cred?.id && isCredentialError(err)) {
+          try {
+            console.warn('credential rejected for mailbox', cred.id, '- pausing its runs until reconnected');
+            const held = await suspendMailbox(supabase, cred, { status: 'needs_reauth', error: err?.message || err });
+            cred.status = 'needs_reauth';
+            await holdJob(job, 'needs_reauth');
+            summary.failures.push({ id: jobId, reason: 'needs_reauth', mailbox_id: cred.id, ...held });
+          } catch (innerErr) {
+            console.error('Failed to suspend mailbox after invalid_grant', cred.id, innerErr);
+          }
+          continue;
+        }
 
-            await supabase.from('scheduled_emails').update({
-              status: 'scheduled',
-              scheduled_for: nextRun,
-              last_error: String(err?.message || err).slice(0, 1000),
-              attempts: attempts + 1,
-              updated_at: new Date().toISOString()
-            }).eq('id', jobId);
-          } else {
-            await supabase.from('scheduled_emails').update({
-              status: 'failed',
-              last_error: String(err?.message || err).slice(0, 1000),
-              attempts: (job.attempts || 1) + 1,
-              updated_at: new Date().toISOString()
-            }).eq('id', jobId);
+        // on failure: backoff, or the dead-letter queue once the attempts are used up
+        try {
+          const { dead: deadLettered } = await recordFailure(supabase, job, err);
+          if (deadLettered) {
+            summary.dead_lettered++;
+            await emitEvent(supabase, job.owner_id, 'email.failed', emailEventData(job, { error: String(err?.message || err).slice(0, 1000) }));
           }
         } catch (innerErr) {
           console.error('Failed to update job after error', jobId, innerErr);
@@ -0,0 +1,60 @@
+// /api/sequence_analytics.js
+// GET ?sequence_id=...&from=&to=&timezone=
+//   -> { totals, steps, series } for the owner's runs of the sequence (see analyticsHelper.js for what each count means).
+// from/to are ISO dates or timestamps ([from, to), default the last 30 days); the per-day series uses `timezone` (default UTC).
+import { createClient } from '@supabase/supabase-js';
+import { MAX_RANGE_DAYS, sequenceAnalytics } from '../analyticsHelper.js';
+import { isValidTimezone } from '../scheduleHelper.js';
+import { authorize, ownsSequence } from '../authHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+const isUUID = s => typeof s === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+const parseDate = v => (v ? new Date(v) : null);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authorize(supabase, req, res, 'read');
+  if (!auth) return;
+
+  const owner_id = auth.ownerId;
+  const { sequence_id, timezone = 'UTC' } = req.query || {};
+  if (!isUUID(sequence_id)) return res.status(400).json({ error: 'sequence_id missing or invalid (must be uuid)' });
+  if (!isValidTimezone(timezone)) return res.status(400).json({ error: 'Invalid timezone' });
+
+  const to = parseDate(req.query.to) || new Date();
+  const from = parseDate(req.query.from) || new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return res.status(400).json({ error: 'from / to must be ISO dates' });
+  if (from >= to) return res.status(400).json({ error: 'from must be before to' });
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) return res.status(400).json({ error: `range can be at most ${MAX_RANGE_DAYS} days` });
+
+  try {
+    if (!(await ownsSequence(supabase, owner_id, sequence_id))) return res.status(404).json({ error: 'sequence not found' });
+    // deleted steps are reported too: their sends and replies happened
+    const { data: steps, error: stepsErr } = await supabase
+      .from('sequence_steps')
+      .select('id, step_order, deleted_at')
+      .eq('sequence_id', sequence_id)
+      .order('step_order', { ascending: true });
+    if (stepsErr) throw stepsErr;
+
+    const result = await sequenceAnalytics(supabase, {
+      ownerId: owner_id,
+      sequenceId: sequence_id,
+      steps: steps || [],
+      from,
+      to,
+      timeZone: timezone
+    });
+    return res.status(200).json({ ok: true, sequence_id, from: from.toISOString(), to: to.toISOString(), timezone, ...result });
+  } catch (err) {
+    console.error('sequence_analytics error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
@@ -0,0 +1,124 @@
+// /api/sequence_step_actions.js
+// POST { sequence_id, action: 'reorder', step_ids: [...] }  -> steps take the order of step_ids (every step, once)
+// POST { sequence_id, action: 'delete', step_id }           -> remove a step (soft: deleted_at); the steps after it move up one
+// POST { sequence_id, action: 'duplicate', name? }          -> copy the sequence and its draft steps
+// Reorders and deletes follow the step_order rules in stepHelper.js; runs that still follow the draft are pinned
+// to a snapshot first, so a run waiting on a moved or deleted step sends what it was enrolled on.
+import { randomUUID } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { branchOrderError, branchTargetIds, loadDraft, writeDraft } from '../stepHelper.js';
+import { pinDraftRuns } from '../versionHelper.js';
+import { authorize, ownsSequence } from '../authHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+const ACTIONS = ['reorder', 'delete', 'duplicate'];
+const isUUID = s => typeof s === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+
+async function reorder(sequence_id, stepIds, res) {
+  if (!Array.isArray(stepIds) || !stepIds.every(isUUID)) return res.status(400).json({ error: 'step_ids must be an array of uuids' });
+
+  const draft = await loadDraft(supabase, sequence_id);
+  const byId = new Map(draft.map(s => [s.id, s]));
+  if (new Set(stepIds).size !== stepIds.length || stepIds.length !== draft.length || !stepIds.every(id => byId.has(id))) {
+    return res.status(400).json({ error: 'step_ids must list every step of the sequence exactly once' });
+  }
+
+  const ordered = stepIds.map((id, i) => ({ ...byId.get(id), step_order: i + 1 }));
+  const orderErr = branchOrderError(ordered);
+  if (orderErr) return res.status(409).json({ error: orderErr });
+
+  await pinDraftRuns(supabase, sequence_id);
+  const written = await writeDraft(supabase, ordered, { previous: draft });
+  return res.status(200).json({ ok: true, steps: ordered.map(s => ({ id: s.id, step_order: s.step_order })), moved: written.length });
+}
+
+async function deleteStep(sequence_id, stepId, res) {
+  if (!isUUID(stepId)) return res.status(400).json({ error: 'step_id must be a valid uuid' });
+
+  const draft = await loadDraft(supabase, sequence_id);
+  const step = draft.find(s => s.id === stepId);
+  if (!step) return res.status(404).json({ error: 'step not found in this sequence' });
+  // a branch that points at the step would silently end runs; the branch has to be changed first
+  const referencedBy = draft.filter(s => branchTargetIds(s).includes(stepId)).map(s => s.id);
+  if (referencedBy.length) {
+    return res.status(409).json({ error: 'other steps branch to this step; change their branches first', step_ids: referencedBy });
+  }
+
+  // the row stays (runs, jobs and events still point at it); marking it deleted and closing the gap behind it
+  // is one upsert
+  await pinDraftRuns(supabase, sequence_id);
+  const ordered = draft.filter(s => s.id !== stepId).map((s, i) => ({ ...s, step_order: i + 1 }));
+  const written = await writeDraft(supabase, [...ordered, { ...step, deleted_at: new Date().toISOString() }], {
+    previous: draft,
+    changed: new Set([stepId])
+  });
+  const moved = written.filter(s => s.id !== stepId).map(s => ({ id: s.id, step_order: s.step_order }));
+  return res.status(200).json({ ok: true, deleted: stepId, moved });
+}
+
+async function duplicate(sequence_id, name, res) {
+  if (name != null && (typeof name !== 'string' || !name.trim())) return res.status(400).json({ error: 'name must be a non-empty string' });
+
+  const { data: source, error: sourceErr } = await supabase.from('sequences').select('*').eq('id', sequence_id).maybeSingle();
+  if (sourceErr) throw sourceErr;
+  if (!source) return res.status(404).json({ error: 'sequence not found' });
+  const draft = await loadDraft(supabase, sequence_id);
+
+  const now = new Date().toISOString();
+  const { id: _id, created_at: _created, updated_at: _updated, ...fields } = source;
+  const { data: copy, error: copyErr } = await supabase
+    .from('sequences')
+    .insert([{ ...fields, name: name?.trim() || `${source.name || 'Untitled sequence'} (copy)`, created_at: now, updated_at: now }])
+    .select()
+    .single();
+  if (copyErr) throw copyErr;
+
+  // new ids up front so branches can point at the copies; the steps go in with one insert
+  const idMap = new Map(draft.map(s => [s.id, randomUUID()]));
+  const remap = id => (id ? idMap.get(id) || null : id);
+  const steps = draft.map((s, i) => {
+    const { id, created_at: _c, updated_at: _u, ...rest } = s;
+    let branches = s.branches;
+    if (branches) {
+      branches = { ...branches, rules: (branches.rules || []).map(rule => ({ ...rule, goto_step_id: remap(rule.goto_step_id) })) };
+      if (s.branches.else_step_id !== undefined) branches.else_step_id = remap(s.branches.else_step_id);
+    }
+    return { ...rest, id: idMap.get(id), sequence_id: copy.id, step_order: i + 1, branches, created_at: now, updated_at: now };
+  });
+
+  if (steps.length) {
+    const { error: stepsErr } = await supabase.from('sequence_steps').insert(steps);
+    if (stepsErr) {
+      // compensating delete: no half-copied sequence is left behind
+      const { error: cleanupErr } = await supabase.from('sequences').delete().eq('id', copy.id);
+      if (cleanupErr) console.error('sequence_step_actions duplicate cleanup error', cleanupErr);
+      throw stepsErr;
+    }
+  }
+  return res.status(201).json({ ok: true, sequence: copy, steps: steps.length });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authorize(supabase, req, res, 'sequences:write');
+  if (!auth) return;
+
+  const body = req.body || {};
+  if (!isUUID(body.sequence_id)) return res.status(400).json({ error: 'sequence_id missing or invalid (must be uuid)' });
+  if (!ACTIONS.includes(body.action)) return res.status(400).json({ error: `action must be one of ${ACTIONS.join(', ')}` });
+
+  try {
+    if (!(await ownsSequence(supabase, auth.ownerId, body.sequence_id))) return res.status(404).json({ error: 'sequence not found' });
+    if (body.action === 'reorder') return await reorder(body.sequence_id, body.step_ids, res);
+    if (body.action === 'delete') return await deleteStep(body.sequence_id, body.step_id, res);
+    return await duplicate(body.sequence_id, body.name, res);
+  } catch (err) {
+    console.error('sequence_step_actions error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
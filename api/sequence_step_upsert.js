@@ -1,9 +1,17 @@
 // api/sequence_step_upsert.js
+// Creates or updates one draft step; step_order inserts or moves it (stepHelper.js). Runs already enrolled stay on
+// their published version (versionHelper.js).
 import { createClient } from '@supabase/supabase-js';
+import { normalizeAttachments } from '../mimeHelper.js';
+import { storeAttachments } from '../attachmentHelper.js';
+import { parseBranches, resolveBranchTargets } from '../branchHelper.js';
+import { parseVariants } from '../variantHelper.js';
+import { branchOrderError, loadDraft, placeSteps, writeDraft } from '../stepHelper.js';
+import { pinDraftRuns } from '../versionHelper.js';
+import { authorize } from '../authHelper.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-const KAPTIV_API_KEY = process.env.KAPTIV_API_KEY;
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
@@ -20,12 +28,8 @@ function normalizeField(v) {
 export default async function handler(req, res) {
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  // header protection (Bubble will send kaptiv_api_key header)
-  const incomingKey = (req.headers['kaptiv_api_key'] || req.headers['Kaptiv-Api-Key'] || '').trim();
-  if (!incomingKey || incomingKey !== KAPTIV_API_KEY) {
-    console.log('Unauthorized sequence_step_upsert call, incoming key:', incomingKey);
-    return res.status(401).json({ error: 'unauthorized' });
-  }
+  const auth = await authorize(supabase, req, res, 'sequences:write');
+  if (!auth) return;
 
   // normalize incoming JSON
   const raw = req.body || {};
@@ -35,6 +39,9 @@ export default async function handler(req, res) {
     step_order: raw.step_order === undefined || raw.step_order === null ? null : Number(raw.step_order),
     subject: normalizeField(raw.subject),
     body_text: normalizeField(raw.body_text),
+    body_html: normalizeField(raw.body_html),
+    // follow-ups reply in the run's thread unless the step opts out
+    new_thread: raw.new_thread === true || raw.new_thread === 'true',
     delay_days: raw.delay_days === undefined || raw.delay_days === null ? 0 : Number(raw.delay_days)
   };
 
@@ -43,112 +50,97 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'sequence_id must be a valid UUID' });
   }
   if (!body.subject) return res.status(400).json({ error: 'subject is required' });
-  if (!body.body_text) return res.status(400).json({ error: 'body_text is required' });
+  // on update an omitted body_html keeps the stored one, so the body is checked once the step is merged
+  if (!body.id && !body.body_text && !body.body_html) return res.status(400).json({ error: 'body_text or body_html is required' });
+  const { attachments, error: attachErr } = normalizeAttachments(normalizeField(raw.attachments));
+  if (attachErr) return res.status(400).json({ error: attachErr });
   if (!Number.isFinite(body.delay_days) || body.delay_days < 0) {
     return res.status(400).json({ error: 'delay_days must be a non-negative number' });
   }
   if (body.step_order !== null && (!Number.isInteger(body.step_order) || body.step_order < 1)) {
     return res.status(400).json({ error: 'step_order must be a positive integer if provided' });
   }
+  // branches: omitted on update keeps the current ones, null removes them
+  const { branches: parsedBranches, error: branchErr } = parseBranches(raw.branches);
+  if (branchErr) return res.status(400).json({ error: branchErr });
+  // A/B variants: same rule, omitted keeps them, null removes them
+  const { variants, error: variantsErr } = parseVariants(raw.variants);
+  if (variantsErr) return res.status(400).json({ error: variantsErr });
 
   try {
-    // confirm the sequence exists
+    // confirm the sequence exists and belongs to the API key's owner
     const { data: seqRow, error: seqErr } = await supabase
       .from('sequences')
       .select('id')
       .eq('id', body.sequence_id)
+      .eq('owner_id', auth.ownerId)
       .maybeSingle();
     if (seqErr) throw seqErr;
     if (!seqRow) return res.status(404).json({ error: 'sequence not found' });
 
+    // the step is placed among the sequence's current steps: a step_order that is taken moves that step and
+    // every later one down by one, no step_order (or one past the end) appends
+    const draft = await loadDraft(supabase, body.sequence_id);
+    const now = new Date().toISOString();
+    let step;
+    let others = draft;
+    let position = body.step_order ?? draft.length + 1;
+
     // If id provided -> update existing row (must belong to sequence)
     if (body.id) {
       if (!isValidUuid(body.id)) return res.status(400).json({ error: 'id must be a valid UUID' });
 
-      // ensure step belongs to that sequence
-      const { data: existing, error: existErr } = await supabase
-        .from('sequence_steps')
-        .select('id, sequence_id, step_order')
-        .eq('id', body.id)
-        .maybeSingle();
-      if (existErr) throw existErr;
-      if (!existing) return res.status(404).json({ error: 'step not found' });
-      if (existing.sequence_id !== body.sequence_id) {
+      const existing = draft.find(s => s.id === body.id);
+      if (!existing) {
+        const { data: other, error: otherErr } = await supabase
+          .from('sequence_steps')
+          .select('id')
+          .eq('id', body.id)
+          .is('deleted_at', null)
+          .maybeSingle();
+        if (otherErr) throw otherErr;
+        if (!other) return res.status(404).json({ error: 'step not found' });
         return res.status(400).json({ error: 'step does not belong to the provided sequence_id' });
       }
-
-      // update row
-      const updatePayload = {
-        subject: body.subject,
-        body_text: body.body_text,
-        delay_days: body.delay_days,
-        updated_at: new Date().toISOString()
-      };
-      // optionally update step_order if provided
-      if (body.step_order !== null) updatePayload.step_order = body.step_order;
-
-      const { data: updated, error: updErr } = await supabase
-        .from('sequence_steps')
-        .update(updatePayload)
-        .eq('id', body.id)
-        .select()
-        .single();
-
-      if (updErr) throw updErr;
-      return res.status(200).json({ ok: true, step: updated });
-    }
-
-    // INSERT path -------------------------
-    // determine step_order: if not provided, append as max(step_order)+1
-    let stepOrder = body.step_order;
-    if (stepOrder === null) {
-      // get the current highest step_order (if any)
-      const { data: rows, error: rowsErr } = await supabase
-        .from('sequence_steps')
-        .select('step_order')
-        .eq('sequence_id', body.sequence_id)
-        .order('step_order', { ascending: false })
-        .limit(1);
-
-      if (rowsErr) throw rowsErr;
-      const maxOrder = (rows && rows.length && rows[0].step_order) ? Number(rows[0].step_order) : 0;
-      stepOrder = maxOrder + 1;
+      others = draft.filter(s => s.id !== body.id);
+      if (body.step_order === null) position = existing.step_order;
+      step = { ...existing };
     } else {
-      // If provided and already exists, do NOT auto-shift. Return helpful error so UI can re-order or pick null.
-      const { data: conflict, error: conflictErr } = await supabase
-        .from('sequence_steps')
-        .select('id')
-        .eq('sequence_id', body.sequence_id)
-        .eq('step_order', stepOrder)
-        .limit(1)
-        .maybeSingle();
-      if (conflictErr) throw conflictErr;
-      if (conflict) {
-        return res.status(409).json({
-          error: 'step_order already exists for this sequence. Provide a different step_order or omit it to append.'
-        });
-      }
+      step = { sequence_id: body.sequence_id, branches: null, variants, created_at: now };
     }
-
-    // finally insert
-    const insertPayload = {
-      sequence_id: body.sequence_id,
-      step_order: stepOrder,
+    Object.assign(step, {
       subject: body.subject,
       body_text: body.body_text,
-      delay_days: body.delay_days,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-
-    const { data: newStep, error: insertErr } = await supabase
-      .from('sequence_steps')
-      .insert([insertPayload])
-      .select()
-      .single();
-
-    if (insertErr) throw insertErr;
-    return res.status(201).json({ ok: true, step: newStep });
+      delay_days: body.delay_days
+    });
+    // body_html, attachments and new_thread follow the same rule as branches and variants on update: omitted
+    // keeps them (stored attachments can't be sent back), null removes them
+    const keep = field => body.id && raw[field] === undefined;
+    if (!keep('body_html')) step.body_html = body.body_html;
+    if (!step.body_text && !step.body_html) return res.status(400).json({ error: 'body_text or body_html is required' });
+    if (!keep('attachments')) {
+      step.attachments = attachments.length ? await storeAttachments(supabase, auth.ownerId, attachments) : null;
+    }
+    if (!keep('new_thread')) step.new_thread = body.new_thread;
+    if (body.id && raw.variants !== undefined) step.variants = variants;
+
+    const ordered = placeSteps(others, [{ step, position }]);
+    const placed = ordered.find(s => (body.id ? s.id === body.id : !s.id));
+    // branch targets are checked against where every step ends up
+    if (!body.id || raw.branches !== undefined) {
+      const { branches, error: targetErr } = resolveBranchTargets(parsedBranches, ordered.filter(s => s.id), placed.step_order);
+      if (targetErr) return res.status(400).json({ error: targetErr });
+      placed.branches = branches;
+    }
+    // moving a step must not put it at or after a step it branches to, or before a step that branches to it
+    const orderErr = branchOrderError(ordered);
+    if (orderErr) return res.status(409).json({ error: orderErr });
+
+    await pinDraftRuns(supabase, body.sequence_id);
+    const written = await writeDraft(supabase, ordered, { previous: draft, changed: new Set(body.id ? [body.id] : []) });
+    const saved = body.id ? written.find(s => s.id === body.id) : written.find(s => !draft.some(d => d.id === s.id));
+    const moved = written.filter(s => s.id !== saved?.id).map(s => ({ id: s.id, step_order: s.step_order }));
+    return res.status(body.id ? 200 : 201).json({ ok: true, step: saved, moved });
   } catch (err) {
     console.error('sequence_step_upsert error', err);
     return res.status(500).json({ error: String(err?.message || err) });
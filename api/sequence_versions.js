@@ -0,0 +1,79 @@
+// /api/sequence_versions.js
+// GET  ?sequence_id=...                                         -> published versions, newest first
+// POST { sequence_id, action: 'publish' }                       -> snapshot the draft steps as a new version
+// POST { sequence_id, action: 'migrate', version_id?, run_ids? }
+//                                                               -> move the owner's active/paused runs (or just run_ids)
+//                                                                  to version_id (default: the latest version);
+//                                                                  runs mid-send come back in in_flight, unmoved
+// See versionHelper.js for how drafts, versions and pinned runs fit together.
+import { createClient } from '@supabase/supabase-js';
+import { latestVersion, migrateRuns, publishVersion } from '../versionHelper.js';
+import { authorize, ownsSequence } from '../authHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+const ACTIONS = ['publish', 'migrate'];
+const isUUID = s => typeof s === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authorize(supabase, req, res, req.method === 'GET' ? 'read' : 'sequences:write');
+  if (!auth) return;
+
+  const body = req.body || {};
+  const sequence_id = req.method === 'GET' ? req.query?.sequence_id : body.sequence_id;
+  if (!isUUID(sequence_id)) return res.status(400).json({ error: 'sequence_id missing or invalid (must be uuid)' });
+
+  try {
+    if (!(await ownsSequence(supabase, auth.ownerId, sequence_id))) return res.status(404).json({ error: 'sequence not found' });
+    if (req.method === 'GET') {
+      const { data, error } = await supabase
+        .from('sequence_versions')
+        .select('id, version, published_at')
+        .eq('sequence_id', sequence_id)
+        .not('published_at', 'is', null)
+        .order('version', { ascending: false });
+      if (error) throw error;
+      return res.status(200).json({ ok: true, sequence_id, versions: data || [] });
+    }
+
+    if (!ACTIONS.includes(body.action)) return res.status(400).json({ error: `action must be one of ${ACTIONS.join(', ')}` });
+
+    if (body.action === 'publish') {
+      const version = await publishVersion(supabase, sequence_id);
+      if (!version) return res.status(400).json({ error: 'sequence has no steps' });
+      return res.status(version.unchanged ? 200 : 201).json({ ok: true, version });
+    }
+
+    // migrate
+    if (body.version_id != null && !isUUID(body.version_id)) return res.status(400).json({ error: 'version_id must be a valid uuid' });
+    if (body.run_ids != null && (!Array.isArray(body.run_ids) || !body.run_ids.every(isUUID))) {
+      return res.status(400).json({ error: 'run_ids must be an array of uuids' });
+    }
+
+    let version;
+    if (body.version_id) {
+      const { data, error } = await supabase
+        .from('sequence_versions')
+        .select('id, version, published_at')
+        .eq('id', body.version_id)
+        .eq('sequence_id', sequence_id)
+        .maybeSingle();
+      if (error) throw error;
+      version = data;
+    } else {
+      version = await latestVersion(supabase, sequence_id);
+    }
+    if (!version) return res.status(404).json({ error: 'version not found' });
+
+    const result = await migrateRuns(supabase, { owner_id: auth.ownerId, sequence_id, run_ids: body.run_ids }, version.id);
+    return res.status(200).json({ ok: true, version, ...result });
+  } catch (err) {
+    console.error('sequence_versions error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
@@ -1,115 +1,288 @@
 // /api/start_sequence.js
+// Enrollment is all-or-nothing. Runs and their first jobs go in as status 'enrolling', tagged with one
+// enrollment_id (a column on sequence_runs and scheduled_emails), so neither the worker nor run_control touches
+// them; once every chunk is in, one update per table releases them (runs -> 'active', jobs -> 'scheduled').
+// A failure before that deletes the tagged rows again; rows that can't be deleted stay 'enrolling' and never send.
+import { randomUUID } from 'crypto';
 import { createClient } from '@supabase/supabase-js';
+import { findMissingFields } from '../templateHelper.js';
+import { cleanRecipients } from '../importHelper.js';
+import { findSuppressed, normalizeEmail } from '../suppressionHelper.js';
+import { canSignTokens } from '../tokenHelper.js';
+import { isValidTimezone, nextSendTime, parseSendWindow } from '../scheduleHelper.js';
+import { listMailboxes } from '../credentialHelper.js';
+import { getProvider } from '../providerHelper.js';
+import { stepTemplates } from '../variantHelper.js';
+import { emitEvent } from '../webhookHelper.js';
+import { runEventData } from '../sequenceHelper.js';
+import { latestVersion, publishVersion, versionSteps } from '../versionHelper.js';
+import { authorize, ownsSequence } from '../authHelper.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-const KAPTIV_API_KEY = process.env.KAPTIV_API_KEY; // a simple API key to protect this endpoint
 const DEFAULT_TIMEZONE = 'Asia/Singapore';
+const ENROLL_CHUNK = 200;
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
+const isUUID = s => typeof s === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+
 // Validate incoming payload
 function validatePayload(body) {
   if (!body) return 'Missing body';
   if (!body.sequence_id) return 'Missing sequence_id';
-  if (!body.owner_id) return 'Missing owner_id';
+  if (body.timezone && !isValidTimezone(body.timezone)) return 'Invalid timezone';
+  if (body.first_send_time && Number.isNaN(new Date(body.first_send_time).getTime())) return 'Invalid first_send_time';
+  if (body.mailbox_id != null && !isUUID(body.mailbox_id)) return 'mailbox_id must be a valid uuid';
+  if (body.mailbox_ids != null && (!Array.isArray(body.mailbox_ids) || !body.mailbox_ids.every(isUUID))) {
+    return 'mailbox_ids must be an array of uuids';
+  }
   // recipients optional (can be fetched from sequence_recipients)
   return null;
 }
 
+// Compensating delete for a failed enrollment: first the held jobs, then their runs. Returns true if both went.
+async function rollbackEnrollment(enrollmentId) {
+  const { error: jobsErr } = await supabase
+    .from('scheduled_emails')
+    .delete()
+    .eq('enrollment_id', enrollmentId)
+    .eq('status', 'enrolling');
+  if (jobsErr) console.error('start_sequence rollback (jobs) error', enrollmentId, jobsErr);
+  // runs may already be released when the jobs' release failed; with no job they have nothing to send
+  const { error: runsErr } = await supabase
+    .from('sequence_runs')
+    .delete()
+    .eq('enrollment_id', enrollmentId);
+  if (runsErr) console.error('start_sequence rollback (runs) error', enrollmentId, runsErr);
+  return !jobsErr && !runsErr;
+}
+
+// Release a complete enrollment: runs first, so no job is due before its run is active. Each is one statement.
+async function releaseEnrollment(enrollmentId) {
+  const now = new Date().toISOString();
+  const { error: runsErr } = await supabase
+    .from('sequence_runs')
+    .update({ status: 'active', updated_at: now })
+    .eq('enrollment_id', enrollmentId)
+    .eq('status', 'enrolling');
+  if (runsErr) throw runsErr;
+  const { error: jobsErr } = await supabase
+    .from('scheduled_emails')
+    .update({ status: 'scheduled', updated_at: now })
+    .eq('enrollment_id', enrollmentId)
+    .eq('status', 'enrolling');
+  if (jobsErr) throw jobsErr;
+}
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  // Basic API key protection (Bubble should send kaptiv_api_key header)
-  const incomingKey = (req.headers['kaptiv_api_key'] || req.headers['Kaptiv-Api-Key'] || '').trim();
-  if (incomingKey !== KAPTIV_API_KEY) return res.status(401).json({ error: 'unauthorized' });
+  const auth = await authorize(supabase, req, res, 'send');
+  if (!auth) return;
 
   const body = req.body || {};
   const validationErr = validatePayload(body);
   if (validationErr) return res.status(400).json({ error: validationErr });
 
-  const { sequence_id, owner_id, recipients, first_send_time, timezone } = body;
+  const owner_id = auth.ownerId;
+  const { sequence_id, recipients, first_send_time, timezone, mailbox_id, mailbox_ids, publish } = body;
+  // publishing changes the sequence for everyone who starts it later, so it needs the editing scope too
+  if (publish && !auth.scopes.includes('sequences:write')) {
+    return res.status(403).json({ error: 'publish: true needs an API key with the sequences:write scope' });
+  }
   const tz = timezone || DEFAULT_TIMEZONE;
   const scheduledBase = first_send_time ? new Date(first_send_time) : new Date();
 
   try {
-    // 1) load steps for this sequence in order
-    const { data: steps, error: stepsErr } = await supabase
-      .from('sequence_steps')
-      .select('*')
-      .eq('sequence_id', sequence_id)
-      .order('step_order', { ascending: true });
+    if (!(await ownsSequence(supabase, owner_id, sequence_id))) return res.status(404).json({ error: 'sequence not found' });
+
+    // 1) runs are pinned to the latest published version of the sequence; `publish: true` publishes the
+    //    draft first, and a sequence that was never published is published on its first start
+    let version = publish ? null : await latestVersion(supabase, sequence_id);
+    if (!version) version = await publishVersion(supabase, sequence_id);
+    if (!version) return res.status(400).json({ error: 'sequence has no steps' });
+    const steps = await versionSteps(supabase, version.id);
+    if (steps.length === 0) return res.status(400).json({ error: 'sequence has no steps' });
 
-    if (stepsErr) throw stepsErr;
-    if (!steps || steps.length === 0) return res.status(400).json({ error: 'sequence has no steps' });
+    // sequence send window (weekdays, hours, holidays) applied in each recipient's timezone
+    const { data: seqRow, error: seqErr } = await supabase
+      .from('sequences')
+      .select('send_window')
+      .eq('id', sequence_id)
+      .maybeSingle();
+    if (seqErr) throw seqErr;
+    const { window: sendWindow, error: windowErr } = parseSendWindow(seqRow?.send_window);
+    if (windowErr) return res.status(400).json({ error: `sequence ${windowErr}` });
 
     // 2) determine recipients: use provided array OR load from sequence_recipients table
-    let finalRecipients = Array.isArray(recipients) && recipients.length ? recipients : [];
-    if (finalRecipients.length === 0) {
+    //    (entries may be plain emails or objects carrying merge field attributes)
+    let entries = Array.isArray(recipients) && recipients.length ? recipients : [];
+    if (entries.length === 0) {
       const { data: recRows, error: recErr } = await supabase
         .from('sequence_recipients')
-        .select('email')
-        .eq('sequence_id', sequence_id);
+        .select('email, attributes')
+        .eq('sequence_id', sequence_id)
+        .is('import_id', null); // rows of an import still in progress (or one that failed) are not recipients yet
       if (recErr) throw recErr;
-      finalRecipients = (recRows || []).map(r => r.email);
+      entries = recRows || [];
+    }
+    // invalid addresses and repeats are skipped, not enrolled twice
+    const { accepted, rejected } = cleanRecipients(entries);
+    const skipped = rejected.map(r => ({ email: r.email, reason: r.reason }));
+    let finalRecipients = accepted;
+    if (!finalRecipients.length) return res.status(400).json({ error: 'no recipients found', skipped });
+
+    // suppressed addresses (unsubscribed, bounced, blocked domains) are never enrolled
+    const suppressed = await findSuppressed(supabase, owner_id, finalRecipients.map(r => r.email));
+    skipped.push(...finalRecipients.filter(r => suppressed.has(r.email)).map(r => ({ email: r.email, reason: 'suppressed' })));
+    finalRecipients = finalRecipients.filter(r => !suppressed.has(r.email));
+    if (!finalRecipients.length) return res.status(400).json({ error: 'all recipients are suppressed', skipped });
+
+    // recipients with a live run of this sequence are left alone, so calling again after a failure is safe
+    const enrolled = new Set();
+    const emails = finalRecipients.map(r => r.email);
+    for (let i = 0; i < emails.length; i += ENROLL_CHUNK) {
+      const { data: liveRuns, error: liveErr } = await supabase
+        .from('sequence_runs')
+        .select('recipient_email')
+        .eq('owner_id', owner_id)
+        .eq('sequence_id', sequence_id)
+        .in('status', ['active', 'paused'])
+        .in('recipient_email', emails.slice(i, i + ENROLL_CHUNK));
+      if (liveErr) throw liveErr;
+      for (const r of liveRuns || []) enrolled.add(normalizeEmail(r.recipient_email));
+    }
+    skipped.push(...finalRecipients.filter(r => enrolled.has(r.email)).map(r => ({ email: r.email, reason: 'already_enrolled' })));
+    finalRecipients = finalRecipients.filter(r => !enrolled.has(r.email));
+    if (!finalRecipients.length) return res.status(400).json({ error: 'all recipients are already enrolled', skipped });
+
+    // every merge field used by any step (or any of its A/B variants) must resolve for every recipient (or have a fallback);
+    // {{unsubscribe_url}} is filled in by the worker when link signing is configured
+    const templates = steps.flatMap(stepTemplates);
+    const builtIns = canSignTokens() ? { unsubscribe_url: 'set at send time' } : {};
+    const missingFields = [];
+    for (const r of finalRecipients) {
+      const missing = findMissingFields(templates, { ...r.fields, ...builtIns, email: r.email });
+      if (missing.length) missingFields.push({ email: r.email, missing });
+    }
+    if (missingFields.length) {
+      return res.status(400).json({ error: 'recipients are missing merge fields used by this sequence', recipients: missingFields });
+    }
+
+    // sender mailboxes: mailbox_ids spreads recipients round-robin, mailbox_id uses one, neither uses the
+    // owner's default. Each run is pinned to its mailbox here and keeps it for every step.
+    const mailboxes = (await listMailboxes(supabase, owner_id, 'id, provider')).filter(m => m.connected);
+    const requested = [...new Set(mailbox_ids?.length ? mailbox_ids : mailbox_id ? [mailbox_id] : [])];
+    const unknown = requested.filter(id => !mailboxes.some(m => m.id === id));
+    if (unknown.length) return res.status(400).json({ error: 'mailboxes not found or not connected', mailbox_ids: unknown });
+    const senders = requested.length ? requested : mailboxes.slice(0, 1).map(m => m.id);
+    if (!senders.length) return res.status(400).json({ error: 'no connected mailbox to send from' });
+    // a run has to stop when the recipient replies, so every sender must be able to see replies (SMTP relays
+    // can't); bounces are only picked up where the inbox is synced, which the caller is told about
+    const senderRows = senders.map(id => mailboxes.find(m => m.id === id));
+    const blind = senderRows.filter(m => !getProvider(m.provider).replyCheck).map(m => m.id);
+    if (blind.length) {
+      return res.status(400).json({ error: 'sequences need mailboxes that can detect replies; these cannot', mailbox_ids: blind });
     }
-    if (!finalRecipients.length) return res.status(400).json({ error: 'no recipients found' });
+    const warnings = senderRows
+      .filter(m => !getProvider(m.provider).inboxSync)
+      .map(m => ({ mailbox_id: m.id, warning: 'bounces_not_detected' }));
 
     const createdRuns = [];
     const createdJobs = [];
+    const firstStep = steps[0];
 
-    // 3) For each recipient, create sequence_run and schedule first step
-    for (const email of finalRecipients) {
-      // create sequence_run
-      const insertRun = {
-        sequence_id,
-        recipient_email: email,
-        owner_id,
-        current_step: 0,
-        status: 'active',
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-
-      const { data: runData, error: runErr } = await supabase
-        .from('sequence_runs')
-        .insert([insertRun])
-        .select()
-        .single();
-
-      if (runErr) throw runErr;
-      createdRuns.push(runData);
-
-      // schedule first step
-      const firstStep = steps[0];
-      const scheduledForIso = new Date(scheduledBase).toISOString();
-
-      const jobPayload = {
-        owner_id,
-        to_email: email,
-        subject: firstStep.subject,
-        body_text: firstStep.body_text,
-        scheduled_for: scheduledForIso,
-        timezone: tz,
-        status: 'scheduled',
-        attempts: 0,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-        sequence_run_id: runData.id,
-        step_id: firstStep.id
-      };
-
-      const { data: jobData, error: jobErr } = await supabase
-        .from('scheduled_emails')
-        .insert([jobPayload])
-        .select()
-        .single();
-
-      if (jobErr) throw jobErr;
-      createdJobs.push(jobData);
+    // 3) Create a sequence_run per recipient and its first step's job, in chunks, held until all are in
+    const enrollmentId = randomUUID();
+    try {
+      for (let i = 0; i < finalRecipients.length; i += ENROLL_CHUNK) {
+        const chunk = finalRecipients.slice(i, i + ENROLL_CHUNK).map(({ email, fields }, offset) => ({
+          email,
+          fields,
+          // a recipient-level timezone attribute wins over the request's timezone
+          timezone: isValidTimezone(fields.timezone) ? fields.timezone : tz,
+          mailbox_id: senders[(i + offset) % senders.length]
+        }));
+        const now = new Date().toISOString();
+
+        // merge fields are kept on the run and rendered at send time
+        const { data: runRows, error: runErr } = await supabase
+          .from('sequence_runs')
+          .insert(chunk.map(r => ({
+            sequence_id,
+            version_id: version.id,
+            recipient_email: r.email,
+            merge_fields: r.fields,
+            timezone: r.timezone,
+            owner_id,
+            mailbox_id: r.mailbox_id,
+            current_step: 0,
+            status: 'enrolling',
+            enrollment_id: enrollmentId,
+            created_at: now,
+            updated_at: now
+          })))
+          .select();
+        if (runErr) throw runErr;
+        createdRuns.push(...runRows);
+
+        const runByEmail = new Map(runRows.map(run => [run.recipient_email, run]));
+        const { data: jobRows, error: jobErr } = await supabase
+          .from('scheduled_emails')
+          .insert(chunk.map(r => ({
+            owner_id,
+            mailbox_id: r.mailbox_id,
+            to_email: r.email,
+            subject: firstStep.subject,
+            body_text: firstStep.body_text,
+            body_html: firstStep.body_html || null,
+            attachments: firstStep.attachments || null,
+            scheduled_for: nextSendTime(scheduledBase, { timezone: r.timezone, window: sendWindow }).toISOString(),
+            timezone: r.timezone,
+            status: 'enrolling',
+            enrollment_id: enrollmentId,
+            attempts: 0,
+            created_at: now,
+            updated_at: now,
+            sequence_run_id: runByEmail.get(r.email).id,
+            step_id: firstStep.id
+          })))
+          .select();
+        if (jobErr) throw jobErr;
+        createdJobs.push(...jobRows);
+      }
+      await releaseEnrollment(enrollmentId);
+    } catch (enrollErr) {
+      console.error('start_sequence enrollment error', enrollmentId, enrollErr);
+      const rolledBack = await rollbackEnrollment(enrollmentId);
+      return res.status(500).json({
+        error: String(enrollErr?.message || enrollErr),
+        enrolled: 0,
+        // false: some held rows could not be deleted; they stay 'enrolling' (never sent) under this id
+        rolled_back: rolledBack,
+        enrollment_id: enrollmentId
+      });
+    }
+    for (const run of createdRuns) run.status = 'active';
+    for (const job of createdJobs) job.status = 'scheduled';
+
+    const jobByRun = new Map(createdJobs.map(job => [job.sequence_run_id, job]));
+    for (const run of createdRuns) {
+      await emitEvent(supabase, owner_id, 'run.started', runEventData(run, {
+        first_step_id: firstStep.id,
+        scheduled_for: jobByRun.get(run.id)?.scheduled_for || null
+      }));
     }
 
-    return res.status(201).json({ ok: true, runs: createdRuns, jobs: createdJobs });
+    return res.status(201).json({
+      ok: true,
+      version: { id: version.id, version: version.version },
+      runs: createdRuns,
+      jobs: createdJobs,
+      skipped,
+      warnings
+    });
   } catch (err) {
     console.error('start_sequence error', err);
     return res.status(500).json({ error: String(err?.message || err) });
@@ -1,9 +1,18 @@
 // /api/steps.js
+// Adds steps to the sequence draft; recipients only get them once it is published (/api/sequence_versions).
+// A step_order that is taken inserts before the step holding it; without one the step is appended (stepHelper.js).
+import { randomUUID } from 'crypto';
 import { createClient } from '@supabase/supabase-js';
+import { normalizeAttachments } from '../mimeHelper.js';
+import { storeAttachments } from '../attachmentHelper.js';
+import { parseBranches, resolveBranchTargets } from '../branchHelper.js';
+import { parseVariants } from '../variantHelper.js';
+import { branchOrderError, loadDraft, placeSteps, writeDraft } from '../stepHelper.js';
+import { pinDraftRuns } from '../versionHelper.js';
+import { authorize, ownsSequence } from '../authHelper.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
-const KAPTIV_API_KEY = process.env.KAPTIV_API_KEY;
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY, {
   auth: { persistSession: false }
@@ -16,11 +25,8 @@ const isNonNegativeInt = n => Number.isInteger(n) && n >= 0;
 export default async function handler(req, res) {
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  // Basic API key protection
-  const incomingKey = (req.headers['kaptiv_api_key'] || req.headers['kaptiv-api-key'] || '').trim();
-  if (!KAPTIV_API_KEY || incomingKey !== KAPTIV_API_KEY) {
-    return res.status(401).json({ error: 'unauthorized' });
-  }
+  const auth = await authorize(supabase, req, res, 'sequences:write');
+  if (!auth) return;
 
   const body = req.body;
   if (!body) return res.status(400).json({ error: 'Missing JSON body' });
@@ -39,11 +45,16 @@ export default async function handler(req, res) {
     const maybeStep = {
       subject: body.subject,
       body_text: body.body_text || body.bodyText || body.body,
-      step_order: body.step_order ?? body.stepOrder ?? 1,
+      body_html: body.body_html || body.bodyHtml,
+      attachments: body.attachments,
+      new_thread: body.new_thread,
+      branches: body.branches,
+      variants: body.variants,
+      step_order: body.step_order ?? body.stepOrder,
       delay_days: body.delay_days ?? body.delayDays ?? 0
     };
-    // If subject or body_text present, treat as one step
-    if (isNonEmptyString(maybeStep.subject) || isNonEmptyString(maybeStep.body_text)) {
+    // If subject or a body is present, treat as one step
+    if (isNonEmptyString(maybeStep.subject) || isNonEmptyString(maybeStep.body_text) || isNonEmptyString(maybeStep.body_html)) {
       steps = [maybeStep];
     }
   }
@@ -54,41 +65,78 @@ export default async function handler(req, res) {
 
   // Normalize + validate each step and attach sequence_id
   const normalized = [];
+  const placements = [];
+  const branchesById = new Map(); // new step id -> parsed branches, resolved once every step has its place
+  const now = new Date().toISOString();
   for (let i = 0; i < steps.length; i++) {
     const s = steps[i];
-    const step_order = Number.isInteger(s.step_order) ? s.step_order : parseInt(s.step_order) || (i + 1);
+    let position = Infinity;
+    if (s.step_order !== undefined && s.step_order !== null && s.step_order !== '') {
+      position = Number(s.step_order);
+      if (!Number.isInteger(position) || position < 1) return res.status(400).json({ error: `step ${i+1} step_order must be a positive integer` });
+      if (placements.some(p => p.position === position)) return res.status(400).json({ error: `step ${i+1} repeats step_order ${position}` });
+    }
     const subject = (s.subject || '').toString().trim();
     const body_text = (s.body_text || s.bodyText || s.body || '').toString().trim();
+    const body_html = (s.body_html || s.bodyHtml || '').toString().trim();
     const delay_days = Number.isInteger(s.delay_days) ? s.delay_days : parseInt(s.delay_days) || 0;
+    const { attachments, error: attachErr } = normalizeAttachments(s.attachments);
 
     if (!isNonEmptyString(subject)) return res.status(400).json({ error: `step ${i+1} missing subject` });
-    if (!isNonEmptyString(body_text)) return res.status(400).json({ error: `step ${i+1} missing body_text` });
+    if (!isNonEmptyString(body_text) && !isNonEmptyString(body_html)) {
+      return res.status(400).json({ error: `step ${i+1} missing body_text or body_html` });
+    }
     if (!isNonNegativeInt(delay_days)) return res.status(400).json({ error: `step ${i+1} invalid delay_days` });
+    if (attachErr) return res.status(400).json({ error: `step ${i+1} ${attachErr}` });
+    const { branches, error: branchErr } = parseBranches(s.branches);
+    if (branchErr) return res.status(400).json({ error: `step ${i+1} ${branchErr}` });
+    const { variants, error: variantsErr } = parseVariants(s.variants);
+    if (variantsErr) return res.status(400).json({ error: `step ${i+1} ${variantsErr}` });
 
-    normalized.push({
+    // ids are assigned here so branches between new steps resolve before anything is written
+    const step = {
+      id: randomUUID(),
       sequence_id,
-      step_order,
       subject,
-      body_text,
+      body_text: body_text || null,
+      body_html: body_html || null,
+      attachments: attachments.length ? attachments : null,
+      new_thread: s.new_thread === true || s.new_thread === 'true',
+      branches: null,
+      variants,
       delay_days,
-      // optionally set id here, but let DB default from gen_random_uuid()
-      // created_at/updated_at defaults can be handled by DB if you have defaults
-    });
+      created_at: now
+    };
+    if (branches) branchesById.set(step.id, { branches, index: i });
+    normalized.push(step);
+    placements.push({ step, position });
   }
 
   try {
-    // Bulk insert all steps in one call
-    const { data, error } = await supabase
-      .from('sequence_steps')
-      .insert(normalized)
-      .select(); // select returns created rows for confirmation
-
-    if (error) {
-      console.error('supabase insert error', error);
-      return res.status(500).json({ error: error.message || 'db error' });
+    if (!(await ownsSequence(supabase, auth.ownerId, sequence_id))) return res.status(404).json({ error: 'sequence not found' });
+    for (const step of normalized) {
+      if (step.attachments) step.attachments = await storeAttachments(supabase, auth.ownerId, step.attachments);
+    }
+    // the new steps take their positions among the current ones (goto_step_order refers to those final
+    // positions) and everything is written in one statement
+    const draft = await loadDraft(supabase, sequence_id);
+    const ordered = placeSteps(draft, placements);
+    for (const [id, { branches: parsed, index }] of branchesById) {
+      const placed = ordered.find(s => s.id === id);
+      const { branches, error: targetErr } = resolveBranchTargets(parsed, ordered, placed.step_order);
+      if (targetErr) return res.status(400).json({ error: `step ${index+1} ${targetErr}` });
+      placed.branches = branches;
     }
+    const orderErr = branchOrderError(ordered);
+    if (orderErr) return res.status(409).json({ error: orderErr });
+
+    await pinDraftRuns(supabase, sequence_id);
+    const written = await writeDraft(supabase, ordered, { previous: draft });
+    const newIds = new Set(normalized.map(n => n.id));
+    const data = written.filter(row => newIds.has(row.id)).sort((a, b) => a.step_order - b.step_order);
+    const moved = written.filter(row => !newIds.has(row.id)).map(row => ({ id: row.id, step_order: row.step_order }));
 
-    return res.status(201).json({ ok: true, inserted: data.length, rows: data });
+    return res.status(201).json({ ok: true, inserted: data.length, rows: data, moved });
   } catch (err) {
     console.error('handler error', err);
     return res.status(500).json({ error: String(err?.message || err) });
@@ -0,0 +1,76 @@
+// /api/suppressions.js
+// GET    ?kind=email|domain&limit=&offset=     -> list suppressed addresses/domains
+// POST   { emails?: [], domains?: [], reason? }  -> add entries
+// DELETE { emails?: [], domains?: [] }           -> remove entries
+// Entries belong to the API key's owner.
+import { createClient } from '@supabase/supabase-js';
+import { addSuppressions, normalizeDomain, normalizeEmail } from '../suppressionHelper.js';
+import { authorize } from '../authHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+const asList = v => (Array.isArray(v) ? v : (typeof v === 'string' && v.trim() ? [v] : []));
+const isEmail = s => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(s);
+const isDomain = s => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(s);
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authorize(supabase, req, res, req.method === 'GET' ? 'read' : 'settings:write');
+  if (!auth) return;
+
+  const body = req.body || {};
+  const owner_id = auth.ownerId;
+
+  try {
+    if (req.method === 'GET') {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      let query = supabase
+        .from('suppressions')
+        .select('kind, value, reason, created_at', { count: 'exact' })
+        .eq('owner_id', owner_id)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (req.query.kind === 'email' || req.query.kind === 'domain') query = query.eq('kind', req.query.kind);
+
+      const { data, error, count } = await query;
+      if (error) throw error;
+      return res.status(200).json({ ok: true, total: count, limit, offset, suppressions: data || [] });
+    }
+
+    const emails = asList(body.emails || body.email).map(normalizeEmail);
+    const domains = asList(body.domains || body.domain).map(normalizeDomain);
+    const invalid = [...emails.filter(e => !isEmail(e)), ...domains.filter(d => !isDomain(d))];
+    if (invalid.length) return res.status(400).json({ error: 'invalid emails or domains', invalid });
+    if (!emails.length && !domains.length) return res.status(400).json({ error: 'emails or domains required' });
+
+    if (req.method === 'POST') {
+      const added = await addSuppressions(supabase, owner_id, { emails, domains, reason: body.reason || 'manual' });
+      return res.status(201).json({ ok: true, added: added.length, suppressions: added });
+    }
+
+    // DELETE
+    let removed = 0;
+    for (const [kind, values] of [['email', emails], ['domain', domains]]) {
+      if (!values.length) continue;
+      const { data, error } = await supabase
+        .from('suppressions')
+        .delete()
+        .eq('owner_id', owner_id)
+        .eq('kind', kind)
+        .in('value', values)
+        .select('value');
+      if (error) throw error;
+      removed += (data || []).length;
+    }
+    return res.status(200).json({ ok: true, removed });
+  } catch (err) {
+    console.error('suppressions error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
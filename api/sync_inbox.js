@@ -0,0 +1,232 @@
+// /api/sync_inbox.js
+// Background inbox sync (run on a cron like run_scheduled_jobs): reads each connected mailbox's
+// new INBOX messages through Gmail history.list, stops sequence runs whose recipient replied and
+// handles bounce notifications (hard: suppress + stop the run, soft: retry with backoff).
+import { createClient } from '@supabase/supabase-js';
+import { currentHistoryId, getAttachment, getMessage, listInboxAdditions } from '../gmailHelper.js';
+import { stopRun } from '../sequenceHelper.js';
+import { looksLikeBounce, parseBounce } from '../bounceHelper.js';
+import { addSuppressions } from '../suppressionHelper.js';
+import { listCredentials, suspendMailbox } from '../credentialHelper.js';
+import { getProvider, isCredentialError } from '../providerHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const WORKER_SECRET = process.env.WORKER_SECRET;
+
+const MAX_SOFT_BOUNCES = 3; // soft bounces beyond this are treated as hard
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+/**
+ * Apply a parsed bounce to the job it belongs to. Returns 'hard', 'soft' or null if it couldn't be matched.
+ */
+async function handleBounce(ownerId, bounce, gmailMessageId) {
+  const columns = 'id, sequence_run_id, step_id, to_email, soft_bounces, rfc_message_id';
+
+  // match the bounced send by its Message-ID, falling back to the latest send to that address
+  let job = null;
+  if (bounce.originalMessageId) {
+    const { data, error } = await supabase
+      .from('scheduled_emails')
+      .select(columns)
+      .eq('owner_id', ownerId)
+      .eq('rfc_message_id', bounce.originalMessageId)
+      .maybeSingle();
+    if (error) throw error;
+    job = data;
+  }
+  if (!job && bounce.recipient) {
+    const { data, error } = await supabase
+      .from('scheduled_emails')
+      .select(columns)
+      .eq('owner_id', ownerId)
+      .eq('status', 'sent')
+      .ilike('to_email', bounce.recipient.replace(/[%_\\]/g, '\\$&'))
+      .order('updated_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (error) throw error;
+    job = data;
+  }
+
+  const recipient = bounce.recipient || job?.to_email;
+  if (!recipient) return null;
+
+  const now = new Date();
+  const softBounces = (job?.soft_bounces || 0) + (bounce.type === 'soft' ? 1 : 0);
+  const detail = [bounce.status, bounce.diagnostic].filter(Boolean).join(' ').slice(0, 1000) || null;
+  const event = {
+    step_id: job?.step_id || null,
+    scheduled_email_id: job?.id || null,
+    message_id: gmailMessageId,
+    last_error: detail
+  };
+
+  if (bounce.type === 'hard' || softBounces > MAX_SOFT_BOUNCES) {
+    await addSuppressions(supabase, ownerId, { emails: [recipient], reason: 'bounced' });
+    if (job?.sequence_run_id) {
+      await stopRun(supabase, job.sequence_run_id, 'bounced', { reason: 'bounced', event: { ...event, status: 'bounced' } });
+    } else {
+      await supabase.from('email_events').insert([{ ...event, status: 'bounced', created_at: now.toISOString() }]);
+    }
+    if (job) {
+      await supabase.from('scheduled_emails').update({
+        bounce_type: 'hard',
+        last_error: detail || 'bounced',
+        updated_at: now.toISOString()
+      }).eq('id', job.id);
+    }
+    console.log('Hard bounce for', recipient, 'owner', ownerId, detail);
+    return 'hard';
+  }
+
+  if (!job) return 'soft';
+
+  // soft bounce: drop the follow-up queued behind this send and resend it later (1h, 2h, 4h). Only runs that are
+  // still going are touched: a completed, stopped or cancelled run stays that way and the bounce is just recorded.
+  let run = null;
+  if (job.sequence_run_id) {
+    const { data, error: runErr } = await supabase
+      .from('sequence_runs')
+      .select('status, last_rfc_message_id, thread_references')
+      .eq('id', job.sequence_run_id)
+      .maybeSingle();
+    if (runErr) throw runErr;
+    run = data;
+  }
+  const retry = !job.sequence_run_id || ['active', 'paused'].includes(run?.status);
+  if (retry && job.sequence_run_id) {
+    const { error: cancelErr } = await supabase.from('scheduled_emails').update({
+      status: 'cancelled',
+      last_error: 'soft_bounce_retry',
+      updated_at: now.toISOString()
+    }).eq('sequence_run_id', job.sequence_run_id).in('status', ['scheduled', 'paused']).neq('id', job.id);
+    if (cancelErr) throw cancelErr;
+
+    // the bounced send moved the run's thread on to itself; rewind it so the retry goes out the way the bounced
+    // message did (a first email or a reply to the one before), not as a reply to the undelivered copy
+    if (job.rfc_message_id && run.last_rfc_message_id === job.rfc_message_id) {
+      const references = String(run.thread_references || '').split(/\s+/).filter(id => id && id !== job.rfc_message_id);
+      const thread = references.length
+        ? { last_rfc_message_id: references[references.length - 1], thread_references: references.join(' ') }
+        : { thread_id: null, thread_subject: null, last_rfc_message_id: null, thread_references: null };
+      const { error: threadErr } = await supabase
+        .from('sequence_runs')
+        .update({ ...thread, updated_at: now.toISOString() })
+        .eq('id', job.sequence_run_id)
+        .eq('last_rfc_message_id', job.rfc_message_id);
+      if (threadErr) throw threadErr;
+    }
+  }
+  const jobUpdate = { soft_bounces: softBounces, bounce_type: 'soft', last_error: detail || 'soft_bounce', updated_at: now.toISOString() };
+  if (retry) {
+    // a paused run's retry waits with its run and is released when the run resumes
+    jobUpdate.status = run?.status === 'paused' ? 'paused' : 'scheduled';
+    jobUpdate.scheduled_for = new Date(now.getTime() + Math.pow(2, softBounces - 1) * 60 * 60 * 1000).toISOString();
+  }
+  const { error: jobErr } = await supabase.from('scheduled_emails').update(jobUpdate).eq('id', job.id);
+  if (jobErr) throw jobErr;
+  const { error: eventErr } = await supabase.from('email_events').insert([{
+    ...event,
+    sequence_run_id: job.sequence_run_id || null,
+    status: 'soft_bounced',
+    created_at: now.toISOString()
+  }]);
+  if (eventErr) throw eventErr;
+  console.log('Soft bounce for', recipient, 'owner', ownerId, 'retry', softBounces);
+  return 'soft';
+}
+
+/**
+ * Stop active runs (for this owner) whose thread received a message from the run's recipient.
+ * Returns the number of runs stopped.
+ */
+async function stopRepliedRuns(ownerId, messages) {
+  const threadIds = [...new Set(messages.map(m => m.threadId).filter(Boolean))];
+  if (!threadIds.length) return 0;
+
+  const { data: runs, error } = await supabase
+    .from('sequence_runs')
+    .select('id, recipient_email, thread_id')
+    .eq('owner_id', ownerId)
+    .eq('status', 'active')
+    .in('thread_id', threadIds);
+  if (error) throw error;
+
+  let stopped = 0;
+  for (const run of runs || []) {
+    const reply = messages.find(m =>
+      m.threadId === run.thread_id && m.from.toLowerCase().includes(String(run.recipient_email || '').toLowerCase())
+    );
+    if (!reply) continue;
+
+    await stopRun(supabase, run.id, 'stopped', { reason: 'replied', event: { status: 'replied', message_id: reply.id } });
+    console.log(`Sequence run ${run.id} stopped due to reply from ${run.recipient_email}`);
+    stopped++;
+  }
+  return stopped;
+}
+
+export default async function handler(req, res) {
+  const incomingSecret = (req.headers['x-worker-secret'] || req.query?.secret)?.trim?.();
+  if (!WORKER_SECRET || incomingSecret !== WORKER_SECRET) return res.status(401).json({ error: 'unauthorized' });
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    // only Gmail mailboxes have a history feed; mailboxes waiting to be reconnected are skipped
+    const creds = (await listCredentials(supabase, 'id, owner_id, refresh_token, history_id, status, provider'))
+      .filter(c => getProvider(c.provider).inboxSync && c.status !== 'needs_reauth' && c.status !== 'disconnected');
+
+    const summary = { mailboxes: (creds || []).length, messages: 0, replies: 0, bounces: { hard: 0, soft: 0 }, errors: [] };
+
+    for (const cred of creds || []) {
+      try {
+        let historyId = cred.history_id;
+        if (historyId) {
+          const result = await listInboxAdditions(cred.refresh_token, historyId);
+          if (result.expired) {
+            // history is only kept for about a week; start over from now (the worker's pre-send check covers the gap)
+            console.warn('sync_inbox: history expired for mailbox', cred.id, 'owner', cred.owner_id);
+            historyId = null;
+          } else {
+            summary.messages += result.messages.length;
+
+            const bounces = result.messages.filter(m => looksLikeBounce(m.from));
+            for (const m of bounces) {
+              const bounce = await parseBounce(await getMessage(cred.refresh_token, m.id), {
+                fetchAttachment: attachmentId => getAttachment(cred.refresh_token, m.id, attachmentId)
+              });
+              const kind = bounce ? await handleBounce(cred.owner_id, bounce, m.id) : null;
+              if (kind) summary.bounces[kind]++;
+            }
+
+            const others = result.messages.filter(m => !bounces.includes(m));
+            summary.replies += await stopRepliedRuns(cred.owner_id, others);
+            historyId = result.historyId;
+          }
+        }
+        if (!historyId) historyId = await currentHistoryId(cred.refresh_token);
+
+        await supabase.from('credentials').update({
+          history_id: historyId,
+          history_synced_at: new Date().toISOString()
+        }).eq('id', cred.id);
+      } catch (err) {
+        if (isCredentialError(err)) {
+          console.warn('sync_inbox: invalid_grant for mailbox', cred.id, '- marking needs_reauth');
+          await suspendMailbox(supabase, cred, { status: 'needs_reauth', error: err?.message || err }).catch(e =>
+            console.error('sync_inbox: failed to suspend mailbox', cred.id, e?.message || e)
+          );
+        }
+        console.error('sync_inbox error for mailbox', cred.id, err?.message || err);
+        summary.errors.push({ mailbox_id: cred.id, owner_id: cred.owner_id, message: String(err?.message || err) });
+      }
+    }
+
+    return res.status(200).json({ summary });
+  } catch (err) {
+    console.error('sync_inbox error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
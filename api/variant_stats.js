@@ -0,0 +1,48 @@
+// /api/variant_stats.js
+// GET ?sequence_id=...&step_id=   -> per-variant sent / open / click / reply counts and rates for the
+// sequence's A/B steps (or one step). `significant_winner` is the variant auto-promotion would pick right now
+// (using the step's auto_promote settings, or replies with the default minimum), null while there isn't enough data.
+import { createClient } from '@supabase/supabase-js';
+import { pickWinner, variantStats } from '../variantHelper.js';
+import { authorize, ownsSequence } from '../authHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+const isUUID = s => typeof s === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authorize(supabase, req, res, 'read');
+  if (!auth) return;
+
+  const { sequence_id, step_id } = req.query || {};
+  if (!isUUID(sequence_id)) return res.status(400).json({ error: 'sequence_id missing or invalid (must be uuid)' });
+  if (step_id && !isUUID(step_id)) return res.status(400).json({ error: 'step_id must be a valid uuid' });
+
+  try {
+    if (!(await ownsSequence(supabase, auth.ownerId, sequence_id))) return res.status(404).json({ error: 'sequence not found' });
+    let query = supabase
+      .from('sequence_steps')
+      .select('id, step_order, deleted_at, variants') // deleted steps included, like in the analytics
+      .eq('sequence_id', sequence_id)
+      .order('step_order', { ascending: true });
+    if (step_id) query = query.eq('id', step_id);
+    const { data: steps, error } = await query;
+    if (error) throw error;
+    if (step_id && !steps?.length) return res.status(404).json({ error: 'step not found' });
+
+    const stats = await variantStats(supabase, steps || []);
+    const result = stats.map(step => ({
+      ...step,
+      significant_winner: pickWinner(step.variants, step.auto_promote || {})
+    }));
+    return res.status(200).json({ ok: true, sequence_id, steps: result });
+  } catch (err) {
+    console.error('variant_stats error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
@@ -0,0 +1,58 @@
+// /api/webhook_deliveries.js
+// GET  ?endpoint_id=&event=&status=&limit=&offset=  -> the API key owner's delivery log, newest first
+// POST { delivery_id }                               -> replay: queue a fresh copy of a delivery
+import { createClient } from '@supabase/supabase-js';
+import { WEBHOOK_EVENTS, replayDelivery } from '../webhookHelper.js';
+import { authorize } from '../authHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+const STATUSES = ['pending', 'delivering', 'delivered', 'failed'];
+const isUUID = s => typeof s === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authorize(supabase, req, res, req.method === 'GET' ? 'read' : 'settings:write');
+  if (!auth) return;
+
+  const body = req.body || {};
+  const owner_id = auth.ownerId;
+
+  try {
+    if (req.method === 'GET') {
+      const { endpoint_id, event, status } = req.query;
+      if (endpoint_id && !isUUID(endpoint_id)) return res.status(400).json({ error: 'endpoint_id must be a valid uuid' });
+      if (event && !WEBHOOK_EVENTS.includes(event)) return res.status(400).json({ error: 'unknown event' });
+      if (status && !STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of ${STATUSES.join(', ')}` });
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      let query = supabase
+        .from('webhook_deliveries')
+        .select('id, endpoint_id, event_id, event, payload, status, attempts, next_attempt_at, last_status_code, last_error, delivered_at, replay_of, created_at, updated_at', { count: 'exact' })
+        .eq('owner_id', owner_id)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (endpoint_id) query = query.eq('endpoint_id', endpoint_id);
+      if (event) query = query.eq('event', event);
+      if (status) query = query.eq('status', status);
+
+      const { data, error, count } = await query;
+      if (error) throw error;
+      return res.status(200).json({ ok: true, total: count, limit, offset, deliveries: data || [] });
+    }
+
+    // POST: replay
+    if (!isUUID(body.delivery_id)) return res.status(400).json({ error: 'delivery_id must be a valid uuid' });
+    const delivery = await replayDelivery(supabase, owner_id, body.delivery_id);
+    if (!delivery) return res.status(404).json({ error: 'delivery not found' });
+    return res.status(201).json({ ok: true, delivery });
+  } catch (err) {
+    console.error('webhook_deliveries error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
@@ -0,0 +1,75 @@
+// /api/webhooks.js
+// GET                     -> list the API key owner's webhook endpoints (secrets are not returned)
+// POST   { url, events? } -> register an endpoint; the signing secret is only returned here
+// DELETE { id }           -> remove an endpoint (its undelivered deliveries fail as endpoint_inactive)
+// events defaults to every event (see WEBHOOK_EVENTS in webhookHelper.js).
+import { createClient } from '@supabase/supabase-js';
+import { WEBHOOK_EVENTS, generateWebhookSecret, parseWebhookEndpoint } from '../webhookHelper.js';
+import { authorize } from '../authHelper.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
+const MAX_ENDPOINTS = 10;
+
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
+
+const ENDPOINT_COLUMNS = 'id, url, events, active, created_at, updated_at';
+const isUUID = s => typeof s === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+
+export default async function handler(req, res) {
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) return res.status(405).json({ error: 'Method not allowed' });
+
+  const auth = await authorize(supabase, req, res, req.method === 'GET' ? 'read' : 'settings:write');
+  if (!auth) return;
+
+  const body = req.body || {};
+  const owner_id = auth.ownerId;
+
+  try {
+    if (req.method === 'GET') {
+      const { data, error } = await supabase
+        .from('webhook_endpoints')
+        .select(ENDPOINT_COLUMNS)
+        .eq('owner_id', owner_id)
+        .order('created_at', { ascending: true });
+      if (error) throw error;
+      return res.status(200).json({ ok: true, events: WEBHOOK_EVENTS, endpoints: data || [] });
+    }
+
+    if (req.method === 'POST') {
+      const { endpoint, error: endpointErr } = await parseWebhookEndpoint(body);
+      if (endpointErr) return res.status(400).json({ error: endpointErr });
+
+      const { count, error: countErr } = await supabase
+        .from('webhook_endpoints')
+        .select('id', { count: 'exact', head: true })
+        .eq('owner_id', owner_id);
+      if (countErr) throw countErr;
+      if (count >= MAX_ENDPOINTS) return res.status(409).json({ error: `at most ${MAX_ENDPOINTS} webhook endpoints per owner` });
+
+      const now = new Date().toISOString();
+      const { data, error } = await supabase
+        .from('webhook_endpoints')
+        .insert([{ owner_id, ...endpoint, secret: generateWebhookSecret(), active: true, created_at: now, updated_at: now }])
+        .select(`${ENDPOINT_COLUMNS}, secret`)
+        .single();
+      if (error) throw error;
+      return res.status(201).json({ ok: true, endpoint: data });
+    }
+
+    // DELETE
+    if (!isUUID(body.id)) return res.status(400).json({ error: 'id must be a valid uuid' });
+    const { data, error } = await supabase
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', body.id)
+      .eq('owner_id', owner_id)
+      .select('id');
+    if (error) throw error;
+    if (!data?.length) return res.status(404).json({ error: 'webhook endpoint not found' });
+    return res.status(200).json({ ok: true, removed: body.id });
+  } catch (err) {
+    console.error('webhooks error', err);
+    return res.status(500).json({ error: String(err?.message || err) });
+  }
+}
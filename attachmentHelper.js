@@ -0,0 +1,49 @@
+// attachmentHelper.js - attachment content lives in Supabase Storage; rows keep a reference
+//
+// Steps, version snapshots and scheduled_emails store [{ filename, content_type, cid, path, size }]. Blobs are
+// keyed by owner and content hash, so a step copied into versions and jobs (or saved again) shares one object.
+// The bucket is private and only read with the service key.
+import { createHash } from "crypto";
+
+const BUCKET = process.env.ATTACHMENT_BUCKET || "attachments";
+
+/**
+ * Upload normalized attachments (normalizeAttachments in mimeHelper.js) for ownerId and return the references to
+ * store on the row. Throws if an upload fails.
+ */
+export async function storeAttachments(supabase, ownerId, attachments) {
+  const refs = [];
+  for (const a of attachments || []) {
+    const data = Buffer.from(a.content, "base64");
+    const path = `${ownerId}/${createHash("sha256").update(data).digest("hex")}`;
+    const { error } = await supabase.storage
+      .from(BUCKET)
+      .upload(path, data, { contentType: a.content_type, upsert: true });
+    if (error) throw error;
+    refs.push({ filename: a.filename, content_type: a.content_type, cid: a.cid, path, size: data.length });
+  }
+  return refs;
+}
+
+/**
+ * Download stored attachments for a send: references become { filename, content (base64), content_type, cid }.
+ * Rows written before attachments moved to Storage carry their content inline and pass through.
+ */
+export async function loadAttachments(supabase, refs) {
+  const attachments = [];
+  for (const ref of refs || []) {
+    if (!ref.path) {
+      attachments.push(ref);
+      continue;
+    }
+    const { data, error } = await supabase.storage.from(BUCKET).download(ref.path);
+    if (error) throw error;
+    attachments.push({
+      filename: ref.filename,
+      content_type: ref.content_type,
+      cid: ref.cid,
+      content: Buffer.from(await data.arrayBuffer()).toString("base64")
+    });
+  }
+  return attachments;
+}
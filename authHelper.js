@@ -0,0 +1,133 @@
+// authHelper.js - per-owner API keys (api_keys) for the Express app and the /api handlers
+//
+// api_keys: id, owner_id, name, prefix (shown in listings), key_hash (sha256 hex of the full key; unique),
+//           scopes (text[]), last_used_at, expires_at, revoked_at, created_at
+//
+// Keys look like kap_<prefix>_<secret>; only the hash is stored and the key itself is shown once, on creation.
+// Callers send it as "Authorization: Bearer <key>" or in the kaptiv_api_key header. The key decides the owner:
+// handlers read req.auth.ownerId, and an owner_id in the request that names anyone else is refused.
+// KAPTIV_API_KEY is the admin key: it issues and revokes keys (/api/api_keys) and lists an owner's dead-lettered
+// jobs (GET /api/job_admin), always naming the owner. It can't send or edit.
+import { createHash, randomBytes, timingSafeEqual } from "crypto";
+
+export const API_SCOPES = [
+  "read",            // list and inspect: mailboxes, scheduled emails, sequences, analytics, webhooks, suppressions
+  "send",            // send / schedule one-off emails and start sequences
+  "sequences:write", // edit steps, publish and migrate versions, import recipients, pause / resume / cancel runs
+  "settings:write",  // connect / disconnect mailboxes, webhooks, suppressions
+  "keys:write"       // issue and revoke the owner's own API keys
+];
+
+const KEY_PREFIX = "kap";
+// last_used_at is refreshed at most this often, so busy keys don't write on every request
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+export function hashApiKey(key) {
+  return createHash("sha256").update(String(key)).digest("hex");
+}
+
+/**
+ * A new key: { key, prefix, key_hash }. Only key_hash (and prefix) are stored.
+ */
+export function generateApiKey() {
+  const prefix = randomBytes(4).toString("hex");
+  const key = `${KEY_PREFIX}_${prefix}_${randomBytes(24).toString("base64url")}`;
+  return { key, prefix, key_hash: hashApiKey(key) };
+}
+
+/**
+ * The key a request presents (Bearer token or kaptiv_api_key header), or null.
+ */
+export function presentedKey(req) {
+  const authorization = req.headers?.authorization || "";
+  if (authorization.startsWith("Bearer ")) return authorization.slice(7).trim() || null;
+  return (req.headers?.["kaptiv_api_key"] || req.headers?.["kaptiv-api-key"] || "").trim() || null;
+}
+
+export function isAdminKey(key) {
+  const admin = process.env.KAPTIV_API_KEY;
+  if (!admin || !key) return false;
+  const a = Buffer.from(String(key));
+  const b = Buffer.from(admin);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Check a request's key against api_keys and `scope`.
+ * Returns { auth: { keyId, ownerId, scopes }, status, error }; status/error are set when the request is refused.
+ */
+export async function authenticate(supabase, req, scope) {
+  const key = presentedKey(req);
+  if (!key) return { auth: null, status: 401, error: "unauthorized" };
+
+  const { data: row, error } = await supabase
+    .from("api_keys")
+    .select("id, owner_id, scopes, expires_at, revoked_at, last_used_at")
+    .eq("key_hash", hashApiKey(key))
+    .maybeSingle();
+  if (error) throw error;
+  if (!row || row.revoked_at || (row.expires_at && new Date(row.expires_at) <= new Date())) {
+    return { auth: null, status: 401, error: "unauthorized" };
+  }
+  if (scope && !(row.scopes || []).includes(scope)) {
+    return { auth: null, status: 403, error: `API key lacks the ${scope} scope` };
+  }
+
+  // the owner comes from the key; a request naming another owner is a client bug or an attempt to cross owners
+  const requested = req.body?.owner_id ?? req.query?.owner_id;
+  if (requested != null && requested !== "" && String(requested) !== String(row.owner_id)) {
+    return { auth: null, status: 403, error: "owner_id does not match the API key" };
+  }
+
+  if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() > TOUCH_INTERVAL_MS) {
+    const { error: touchErr } = await supabase
+      .from("api_keys")
+      .update({ last_used_at: new Date().toISOString() })
+      .eq("id", row.id);
+    if (touchErr) console.warn("api key last_used_at update failed", row.id, touchErr.message);
+  }
+  return { auth: { keyId: row.id, ownerId: row.owner_id, scopes: row.scopes || [] }, status: 200, error: null };
+}
+
+/**
+ * Express middleware: `app.get(path, requireScope(supabase, "read"), ...)`. Sets req.auth.
+ */
+export function requireScope(supabase, scope) {
+  return async (req, res, next) => {
+    try {
+      const { auth, status, error } = await authenticate(supabase, req, scope);
+      if (!auth) return res.status(status).json({ ok: false, error });
+      req.auth = auth;
+      next();
+    } catch (err) {
+      console.error("auth error", err);
+      return res.status(500).json({ ok: false, error: "internal_error" });
+    }
+  };
+}
+
+/**
+ * The same check for a serverless handler: sets and returns req.auth, or sends the 401 / 403 / 500 and returns null.
+ *   const auth = await authorize(supabase, req, res, 'read'); if (!auth) return;
+ */
+export async function authorize(supabase, req, res, scope) {
+  let result;
+  await requireScope(supabase, scope)(req, res, () => {
+    result = req.auth;
+  });
+  return result || null;
+}
+
+/**
+ * True if the sequence exists and belongs to ownerId (sequences.owner_id).
+ */
+export async function ownsSequence(supabase, ownerId, sequenceId) {
+  const { data, error } = await supabase
+    .from("sequences")
+    .select("id")
+    .eq("id", sequenceId)
+    .eq("owner_id", ownerId)
+    .maybeSingle();
+  if (error) throw error;
+  return !!data;
+}
@@ -0,0 +1,110 @@
+// bounceHelper.js - recognise and parse delivery status notifications (DSNs) from Gmail messages
+
+const BOUNCE_SENDER_RE = /mailer-daemon|postmaster|mail delivery (subsystem|system)/i;
+// Phrases that mean the address itself is bad even when no RFC 3464 status code is present
+const HARD_BOUNCE_TEXT_RE = /address not found|does not exist|user unknown|no such user|recipient address rejected|mailbox unavailable|invalid recipient/i;
+
+export function looksLikeBounce(from) {
+  return BOUNCE_SENDER_RE.test(from || "");
+}
+
+function headerValue(headers, name) {
+  return (headers || []).find(h => h.name.toLowerCase() === name.toLowerCase())?.value || "";
+}
+
+// a part's content; large parts only carry body.attachmentId and are fetched with fetchAttachment(id) -> base64url
+async function partText(part, fetchAttachment) {
+  let data = part?.body?.data;
+  if (!data && part?.body?.attachmentId && fetchAttachment) {
+    try {
+      data = await fetchAttachment(part.body.attachmentId);
+    } catch (err) {
+      console.warn("bounce: could not fetch DSN part", part.body.attachmentId, err?.message || err);
+    }
+  }
+  return data ? Buffer.from(data, "base64url").toString("utf8") : "";
+}
+
+// Message-ID from the header block at the top of an embedded message (message/rfc822 or text/rfc822-headers)
+function embeddedMessageId(text) {
+  const headerBlock = text.split(/\r?\n\r?\n/)[0].replace(/\r?\n[ \t]+/g, " ");
+  return headerBlock.match(/^Message-ID:\s*(<[^>]+>)/im)?.[1] || null;
+}
+
+function walkParts(part, visit) {
+  if (!part) return;
+  visit(part);
+  for (const child of part.parts || []) walkParts(child, visit);
+}
+
+// "Field: value" lines of a message/delivery-status body (per-message and per-recipient groups merged)
+function parseDsnFields(text) {
+  const fields = {};
+  for (const line of text.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const match = line.match(/^([A-Za-z-]+):\s*(.*)$/);
+    if (match && !(match[1].toLowerCase() in fields)) fields[match[1].toLowerCase()] = match[2].trim();
+  }
+  return fields;
+}
+
+function addressFrom(value) {
+  // "rfc822; someone@example.com" or "someone@example.com"
+  const match = String(value || "").match(/([^\s;<>]+@[^\s;<>]+)/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Parse a Gmail message (users.messages.get, format "full") that may be a bounce. fetchAttachment(attachmentId)
+ * returns a part's base64url data for parts Gmail doesn't inline.
+ * Returns null if it isn't one, otherwise
+ *   { type: 'hard' | 'soft', recipient, originalMessageId, status, diagnostic }
+ */
+export async function parseBounce(message, { fetchAttachment } = {}) {
+  const payload = message?.payload;
+  const from = headerValue(payload?.headers, "From");
+  if (!looksLikeBounce(from)) return null;
+
+  const parts = [];
+  walkParts(payload, part => parts.push(part));
+
+  let dsn = {};
+  let originalMessageId = null;
+  const texts = [];
+  for (const part of parts) {
+    const type = (part.mimeType || "").toLowerCase();
+    if (type === "message/delivery-status") {
+      dsn = parseDsnFields(await partText(part, fetchAttachment));
+    } else if (type === "message/rfc822" || type === "text/rfc822-headers") {
+      // part.headers are this MIME part's own headers; the returned message's headers are inside its content,
+      // or (when Gmail splits the embedded message up) on its first child
+      const body = await partText(part, fetchAttachment);
+      originalMessageId =
+        originalMessageId || embeddedMessageId(body) || headerValue(part.parts?.[0]?.headers, "Message-ID") || null;
+      if (body) texts.push(body);
+    } else if (type.startsWith("text/")) {
+      texts.push(await partText(part, fetchAttachment));
+    }
+  }
+
+  const allText = texts.join("\n");
+  if (!originalMessageId) {
+    // headers of the returned message are usually quoted in one of the parts
+    originalMessageId = allText.match(/^Message-ID:\s*(<[^>]+>)/im)?.[1] || null;
+  }
+
+  const recipient =
+    addressFrom(dsn["final-recipient"]) ||
+    addressFrom(dsn["original-recipient"]) ||
+    addressFrom(headerValue(payload?.headers, "X-Failed-Recipients"));
+  const status = dsn.status || allText.match(/\b([245]\.\d{1,3}\.\d{1,3})\b/)?.[1] || null;
+  const diagnostic = (dsn["diagnostic-code"] || "").slice(0, 1000) || null;
+  const action = (dsn.action || "").toLowerCase();
+
+  let type;
+  if (action === "delayed" || status?.startsWith("4")) type = "soft";
+  else if (status?.startsWith("5")) type = "hard";
+  else type = HARD_BOUNCE_TEXT_RE.test(`${diagnostic || ""}\n${allText}`) ? "hard" : "soft";
+
+  if (!recipient && !originalMessageId) return null;
+  return { type, recipient, originalMessageId, status, diagnostic };
+}
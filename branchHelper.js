@@ -0,0 +1,155 @@
+// branchHelper.js - conditional next steps (sequence_steps.branches)
+//
+// sequence_steps.branches (jsonb; null = continue with the next step by step_order):
+//   {
+//     after_days: 2,                                   // decide this long after the step was sent
+//     rules: [                                         // first match wins
+//       { if: "opened", goto_step_id: "<uuid>" },
+//       { if: "clicked", url: "/pricing", goto_step_id: "<uuid>" },
+//       { if: "not_opened", goto_step_id: null }       // null ends the run
+//     ],
+//     else_step_id: "<uuid>" | null                    // optional; omitted = next step by step_order
+//   }
+// Targets must be later steps (higher step_order) of the same sequence, so a run can never loop.
+// The chosen step is sent at decision time: after_days replaces its delay_days.
+// Replies still stop the run before any branch is taken.
+// Writers may reference targets by goto_step_order / else_step_order; they're stored as ids.
+
+export const BRANCH_CONDITIONS = ["opened", "not_opened", "clicked", "not_clicked"];
+const MAX_RULES = 20;
+const MAX_AFTER_DAYS = 365;
+
+const isUUID = s => typeof s === "string" && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+
+// a target reference: { id } | { order } | { end: true } (null), or { error }
+function parseTarget(source, idKey, orderKey) {
+  if (source[orderKey] !== undefined && source[orderKey] !== null) {
+    const order = Number(source[orderKey]);
+    return Number.isInteger(order) && order >= 1 ? { order } : { error: `${orderKey} must be a positive integer` };
+  }
+  const id = source[idKey];
+  if (id === null) return { end: true };
+  return isUUID(id) ? { id } : { error: `${idKey} must be a step uuid or null` };
+}
+
+/**
+ * Validate the shape of a branches value from a request. Returns { branches, error };
+ * branches is null when none are set. Targets are checked later by resolveBranchTargets.
+ */
+export function parseBranches(raw) {
+  if (raw === undefined || raw === null || raw === "") return { branches: null, error: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { branches: null, error: "branches must be an object" };
+
+  const afterDays = Number(raw.after_days);
+  if (!Number.isFinite(afterDays) || afterDays < 0 || afterDays > MAX_AFTER_DAYS) {
+    return { branches: null, error: `branches.after_days must be between 0 and ${MAX_AFTER_DAYS}` };
+  }
+  if (!Array.isArray(raw.rules) || !raw.rules.length || raw.rules.length > MAX_RULES) {
+    return { branches: null, error: `branches.rules must be a list of 1 to ${MAX_RULES} rules` };
+  }
+
+  const rules = [];
+  for (const [i, rule] of raw.rules.entries()) {
+    if (!rule || typeof rule !== "object") return { branches: null, error: `branches.rules[${i}] must be an object` };
+    if (!BRANCH_CONDITIONS.includes(rule.if)) {
+      return { branches: null, error: `branches.rules[${i}].if must be one of ${BRANCH_CONDITIONS.join(", ")}` };
+    }
+    if (rule.url != null && (typeof rule.url !== "string" || !rule.url.trim() || !rule.if.endsWith("clicked"))) {
+      return { branches: null, error: `branches.rules[${i}].url must be a non-empty string on a clicked / not_clicked rule` };
+    }
+    if (rule.goto_step_id === undefined && rule.goto_step_order == null) {
+      return { branches: null, error: `branches.rules[${i}] needs goto_step_id (null ends the run) or goto_step_order` };
+    }
+    const target = parseTarget(rule, "goto_step_id", "goto_step_order");
+    if (target.error) return { branches: null, error: `branches.rules[${i}].${target.error}` };
+    rules.push({ if: rule.if, url: rule.url?.trim() || undefined, target });
+  }
+
+  let elseTarget;
+  if (raw.else_step_id !== undefined || raw.else_step_order != null) {
+    elseTarget = parseTarget(raw, "else_step_id", "else_step_order");
+    if (elseTarget.error) return { branches: null, error: `branches.${elseTarget.error}` };
+  }
+  return { branches: { after_days: afterDays, rules, elseTarget }, error: null };
+}
+
+/**
+ * Turn parsed branches into the stored form, checking every target against the sequence's steps
+ * (`steps`: [{ id, step_order }]) and the branching step's own step_order. Returns { branches, error }.
+ */
+export function resolveBranchTargets(parsed, steps, stepOrder) {
+  if (!parsed) return { branches: null, error: null };
+
+  const resolve = (target, label) => {
+    if (target.end) return { id: null };
+    const step = target.id ? steps.find(s => s.id === target.id) : steps.find(s => s.step_order === target.order);
+    if (!step) return { error: `${label} does not match a step of this sequence` };
+    if (!(step.step_order > stepOrder)) return { error: `${label} must be a later step (higher step_order) than the branching step` };
+    return { id: step.id };
+  };
+
+  const rules = [];
+  for (const [i, rule] of parsed.rules.entries()) {
+    const target = resolve(rule.target, `branches.rules[${i}] target`);
+    if (target.error) return { branches: null, error: target.error };
+    rules.push({ if: rule.if, ...(rule.url ? { url: rule.url } : {}), goto_step_id: target.id });
+  }
+
+  const branches = { after_days: parsed.after_days, rules };
+  if (parsed.elseTarget) {
+    const target = resolve(parsed.elseTarget, "branches else target");
+    if (target.error) return { branches: null, error: target.error };
+    branches.else_step_id = target.id;
+  }
+  return { branches, error: null };
+}
+
+/**
+ * The step a run continues with after `step` ({ step_order, branches }) when no rule matches:
+ * else_step_id if set (null = end), otherwise the next step by step_order. `steps` are the run's steps
+ * (see versionHelper.runSteps). Returns the step or null.
+ */
+export function fallbackStep(steps, step) {
+  if (step.branches && step.branches.else_step_id !== undefined) {
+    if (step.branches.else_step_id === null) return null;
+    return steps.find(s => s.id === step.branches.else_step_id) || null;
+  }
+  return steps.filter(s => s.step_order > step.step_order).sort((a, b) => a.step_order - b.step_order)[0] || null;
+}
+
+function ruleMatches(rule, events) {
+  const clicks = events.filter(e => e.status === "clicked" && (!rule.url || String(e.url || "").includes(rule.url)));
+  // a click means the email was opened even when the pixel was blocked
+  const opened = events.some(e => e.status === "opened" || e.status === "clicked");
+  switch (rule.if) {
+    case "opened": return opened;
+    case "not_opened": return !opened;
+    case "clicked": return clicks.length > 0;
+    case "not_clicked": return clicks.length === 0;
+    default: return false;
+  }
+}
+
+/**
+ * Decide where a run goes after `step` (which has branches, one of `steps`) from the run's opens/clicks on that step.
+ * Returns { step: <next step> | null (end the run), rule: index of the matching rule | null }.
+ */
+export async function chooseBranch(supabase, runId, step, steps) {
+  const { data: events, error } = await supabase
+    .from("email_events")
+    .select("status, url")
+    .eq("sequence_run_id", runId)
+    .eq("step_id", step.id)
+    .in("status", ["opened", "clicked"]);
+  if (error) throw error;
+
+  const rules = step.branches?.rules || [];
+  const index = rules.findIndex(rule => ruleMatches(rule, events || []));
+  if (index === -1) return { step: fallbackStep(steps, step), rule: null };
+
+  const targetId = rules[index].goto_step_id;
+  const target = targetId ? steps.find(s => s.id === targetId) : null;
+  // a target deleted (or reordered before this step) after the branch was saved ends the run rather than guessing
+  if (!target || !(target.step_order > step.step_order)) return { step: null, rule: index };
+  return { step: target, rule: index };
+}
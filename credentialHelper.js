@@ -0,0 +1,267 @@
+// credentialHelper.js - encrypted storage of mailbox refresh tokens and the one place credentials are read
+// credentials: one row per connected mailbox (id, owner_id, email, label, refresh_token, key_id, status, ...),
+// unique on (owner_id, email). status is 'active', 'needs_reauth' (Google rejected the token) or
+// 'disconnected' (token revoked by us); the last two hold the mailbox's runs and jobs until it is reconnected.
+//
+// Envelope encryption: every token gets its own random data key (AES-256-GCM), and that data key is
+// wrapped with a master key from TOKEN_ENCRYPTION_KEYS. The master key's id is stored in
+// credentials.key_id, so old keys stay usable for reading while rows are rotated to the current one.
+//
+//   TOKEN_ENCRYPTION_KEYS="2025a:<base64 32 bytes>,2026a:<base64 32 bytes>"
+//   TOKEN_ENCRYPTION_KEY_ID="2026a"   (key used for new writes; defaults to the last one listed)
+//
+// Rows with key_id null are legacy plaintext and are still readable until rotated.
+import { createCipheriv, createDecipheriv, randomBytes } from "crypto";
+import { pauseRuns, resumeRuns, sendWindowRescheduler } from "./sequenceHelper.js";
+import { emitEvent } from "./webhookHelper.js";
+
+const FORMAT = "v1";
+
+function parseKeys(raw) {
+  const keys = new Map();
+  for (const entry of (raw || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const sep = entry.indexOf(":");
+    const id = entry.slice(0, sep).trim();
+    const key = Buffer.from(entry.slice(sep + 1).trim(), "base64");
+    if (sep <= 0 || key.length !== 32) throw new Error(`TOKEN_ENCRYPTION_KEYS: key "${id || entry}" must be "<id>:<base64 of 32 bytes>"`);
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+const MASTER_KEYS = parseKeys(process.env.TOKEN_ENCRYPTION_KEYS);
+const ACTIVE_KEY_ID = process.env.TOKEN_ENCRYPTION_KEY_ID || [...MASTER_KEYS.keys()].pop() || null;
+if (ACTIVE_KEY_ID && !MASTER_KEYS.has(ACTIVE_KEY_ID)) {
+  throw new Error(`TOKEN_ENCRYPTION_KEY_ID "${ACTIVE_KEY_ID}" is not in TOKEN_ENCRYPTION_KEYS`);
+}
+if (!ACTIVE_KEY_ID) {
+  console.warn("TOKEN_ENCRYPTION_KEYS not set. Refresh tokens will be stored unencrypted.");
+}
+
+// iv (12) | tag (16) | ciphertext
+function seal(key, plaintext) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key, sealed) {
+  const decipher = createDecipheriv("aes-256-gcm", key, sealed.subarray(0, 12));
+  decipher.setAuthTag(sealed.subarray(12, 28));
+  return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+}
+
+/**
+ * Encrypt a refresh token for storage. Returns the columns to write: { refresh_token, key_id }.
+ */
+export function encryptRefreshToken(token) {
+  if (!token) return { refresh_token: null, key_id: null };
+  if (!ACTIVE_KEY_ID) return { refresh_token: token, key_id: null };
+
+  const dataKey = randomBytes(32);
+  const wrappedKey = seal(MASTER_KEYS.get(ACTIVE_KEY_ID), dataKey);
+  const payload = seal(dataKey, Buffer.from(token, "utf8"));
+  return {
+    refresh_token: `${FORMAT}.${wrappedKey.toString("base64url")}.${payload.toString("base64url")}`,
+    key_id: ACTIVE_KEY_ID
+  };
+}
+
+/**
+ * Decrypt a stored refresh_token given the row's key_id (null = legacy plaintext).
+ */
+export function decryptRefreshToken(stored, keyId) {
+  if (!stored) return null;
+  if (!keyId) return stored;
+
+  const masterKey = MASTER_KEYS.get(keyId);
+  if (!masterKey) throw new Error(`No encryption key "${keyId}" configured for stored refresh token`);
+  const [format, wrappedKey, payload] = String(stored).split(".");
+  if (format !== FORMAT || !wrappedKey || !payload) throw new Error("Malformed encrypted refresh token");
+
+  const dataKey = open(masterKey, Buffer.from(wrappedKey, "base64url"));
+  return open(dataKey, Buffer.from(payload, "base64url")).toString("utf8");
+}
+
+// key_id is always selected alongside refresh_token so rows can be decrypted
+function withKeyColumn(columns) {
+  const list = columns.split(",").map(c => c.trim());
+  return list.includes("refresh_token") && !list.includes("key_id") ? `${columns}, key_id` : columns;
+}
+
+function decryptRow(row) {
+  if (!row || !("refresh_token" in row)) return row;
+  const { key_id, ...rest } = row;
+  return { ...rest, refresh_token: decryptRefreshToken(row.refresh_token, key_id) };
+}
+
+/**
+ * Read one of an owner's mailboxes with refresh_token decrypted, or null if there is no such mailbox.
+ * Without `mailboxId` this is the owner's default mailbox (the first one connected that still has a token).
+ * Every module that needs a mailbox token goes through here (or listCredentials).
+ */
+export async function getCredential(supabase, ownerId, columns = "id, owner_id, email, refresh_token", { mailboxId } = {}) {
+  let query = supabase
+    .from("credentials")
+    .select(withKeyColumn(columns))
+    .eq("owner_id", ownerId);
+  query = mailboxId
+    ? query.eq("id", mailboxId)
+    : query.not("refresh_token", "is", null).order("created_at", { ascending: true }).limit(1);
+  const { data, error } = await query.maybeSingle();
+  if (error) throw error;
+  return decryptRow(data);
+}
+
+/**
+ * An owner's mailboxes for display and selection, oldest (the default) first. Tokens are not returned;
+ * `connected` says whether the mailbox has one.
+ */
+export async function listMailboxes(supabase, ownerId, columns = "id, email, label, created_at") {
+  const { data, error } = await supabase
+    .from("credentials")
+    .select(`${columns}, refresh_token`)
+    .eq("owner_id", ownerId)
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return (data || []).map(({ refresh_token, ...row }) => ({ ...row, connected: !!refresh_token }));
+}
+
+/**
+ * All credentials that have a refresh token, decrypted (for background workers).
+ * A row that can't be decrypted (e.g. its key was removed) is logged and left out rather than failing the batch.
+ */
+export async function listCredentials(supabase, columns = "id, owner_id, email, refresh_token") {
+  const { data, error } = await supabase
+    .from("credentials")
+    .select(withKeyColumn(columns))
+    .not("refresh_token", "is", null);
+  if (error) throw error;
+
+  const creds = [];
+  for (const row of data || []) {
+    try {
+      creds.push(decryptRow(row));
+    } catch (err) {
+      console.error("listCredentials: cannot decrypt credential", row.id, "for owner", row.owner_id, err?.message || err);
+    }
+  }
+  return creds;
+}
+
+/**
+ * Re-encrypt every stored token that isn't under the active key (including legacy plaintext rows).
+ * Each row is only updated if it still holds the value that was read, so a reconnect racing the
+ * rotation isn't overwritten. Returns { key_id, rotated, failed: [{ id, owner_id, message }] }.
+ */
+export async function rotateCredentialKeys(supabase, { batchSize = 100 } = {}) {
+  if (!ACTIVE_KEY_ID) throw new Error("TOKEN_ENCRYPTION_KEYS is not configured");
+
+  let rotated = 0;
+  const failed = [];
+  let after = null;
+  for (;;) {
+    let query = supabase
+      .from("credentials")
+      .select("id, owner_id, refresh_token, key_id")
+      .not("refresh_token", "is", null)
+      .or(`key_id.is.null,key_id.neq.${ACTIVE_KEY_ID}`)
+      .order("id")
+      .limit(batchSize);
+    if (after) query = query.gt("id", after);
+    const { data: rows, error } = await query;
+    if (error) throw error;
+    if (!rows?.length) break;
+
+    for (const row of rows) {
+      try {
+        const sealed = encryptRefreshToken(decryptRefreshToken(row.refresh_token, row.key_id));
+        let update = supabase
+          .from("credentials")
+          .update(sealed)
+          .eq("id", row.id)
+          .eq("refresh_token", row.refresh_token);
+        update = row.key_id ? update.eq("key_id", row.key_id) : update.is("key_id", null);
+        const { error: updateErr } = await update;
+        if (updateErr) throw updateErr;
+        rotated++;
+      } catch (err) {
+        failed.push({ id: row.id, owner_id: row.owner_id, message: String(err?.message || err) });
+      }
+    }
+    after = rows[rows.length - 1].id;
+  }
+  return { key_id: ACTIVE_KEY_ID, rotated, failed };
+}
+
+// Statuses set by suspendMailbox; runs and one-off jobs paused for them are released by resumeMailbox
+const SUSPENDED = ["needs_reauth", "disconnected"];
+
+/**
+ * True for the OAuth error Google returns once a refresh token is revoked or expired. Retrying can't fix it.
+ */
+export function isInvalidGrant(err) {
+  const data = err?.response?.data;
+  return data?.error === "invalid_grant" || /invalid_grant/.test(String(err?.message || ""));
+}
+
+/**
+ * Mark a mailbox unusable (status 'needs_reauth' or 'disconnected') and hold everything that sends from it:
+ * active runs are paused with that reason and pending one-off jobs move to 'paused'. Emits credential.revoked.
+ * `mailbox` needs id and owner_id. Returns { runs, jobs } held.
+ */
+export async function suspendMailbox(supabase, mailbox, { status = "needs_reauth", error } = {}) {
+  const now = new Date().toISOString();
+
+  const { error: credErr } = await supabase
+    .from("credentials")
+    .update({ status, auth_error: error ? String(error).slice(0, 1000) : null, auth_error_at: now })
+    .eq("id", mailbox.id);
+  if (credErr) throw credErr;
+
+  const { runs } = await pauseRuns(supabase, { owner_id: mailbox.owner_id, mailbox_id: mailbox.id }, { reason: status });
+  const { data, error: jobsErr } = await supabase
+    .from("scheduled_emails")
+    .update({ status: "paused", last_error: status, updated_at: now })
+    .eq("owner_id", mailbox.owner_id)
+    .eq("mailbox_id", mailbox.id)
+    .is("sequence_run_id", null)
+    .eq("status", "scheduled")
+    .select("id");
+  if (jobsErr) throw jobsErr;
+  const jobs = (data || []).length;
+
+  await emitEvent(supabase, mailbox.owner_id, "credential.revoked", {
+    mailbox_id: mailbox.id,
+    email: mailbox.email || null,
+    provider: mailbox.provider || null,
+    status,
+    error: error ? String(error).slice(0, 1000) : null,
+    paused_runs: runs,
+    paused_jobs: jobs
+  });
+  return { runs, jobs };
+}
+
+/**
+ * Undo suspendMailbox after the mailbox is reconnected: resume runs paused because of its credential
+ * (manually paused runs stay paused) and release its held one-off jobs. Returns { runs, jobs } resumed.
+ */
+export async function resumeMailbox(supabase, mailbox) {
+  const reschedule = sendWindowRescheduler(supabase);
+  const { runs } = await resumeRuns(
+    supabase, { owner_id: mailbox.owner_id, mailbox_id: mailbox.id }, { reason: SUSPENDED, reschedule }
+  );
+  const { data, error } = await supabase
+    .from("scheduled_emails")
+    .update({ status: "scheduled", last_error: null, updated_at: new Date().toISOString() })
+    .eq("owner_id", mailbox.owner_id)
+    .eq("mailbox_id", mailbox.id)
+    .is("sequence_run_id", null)
+    .eq("status", "paused")
+    .in("last_error", SUSPENDED)
+    .select("id");
+  if (error) throw error;
+  return { runs, jobs: (data || []).length };
+}
@@ -1,5 +1,6 @@
 // gmailHelper.js
 import { google } from "googleapis";
+import { toBase64Url } from "./mimeHelper.js";
 
 const CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
 const CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
@@ -9,33 +10,186 @@ function createOAuthClient() {
   return new google.auth.OAuth2(CLIENT_ID, CLIENT_SECRET, REDIRECT_URI);
 }
 
-export async function sendEmailViaGmail(refreshToken, to, subject, bodyText) {
-  if (!refreshToken) throw new Error("No refresh token provided to gmail helper");
+function gmailClient(refreshToken) {
   const oAuth2Client = createOAuthClient();
   oAuth2Client.setCredentials({ refresh_token: refreshToken });
+  return google.gmail({ version: "v1", auth: oAuth2Client });
+}
+
+function headerValue(headers, name) {
+  return (headers || []).find(h => h.name.toLowerCase() === name.toLowerCase())?.value || "";
+}
+
+// gmail.readonly lets the worker and /api/sync_inbox see replies (and bounces) in the mailbox
+const GMAIL_SCOPES = "https://www.googleapis.com/auth/gmail.send https://www.googleapis.com/auth/gmail.readonly openid email profile";
+
+/**
+ * Google consent URL for connecting a mailbox (offline access, PKCE S256 challenge).
+ */
+export function gmailAuthUrl({ state, codeChallenge }) {
+  return createOAuthClient().generateAuthUrl({
+    access_type: "offline",
+    prompt: "consent",
+    scope: GMAIL_SCOPES,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256"
+  });
+}
+
+/**
+ * Exchange the callback's code for tokens. Returns { refresh_token, email } (email from the id_token, or from
+ * the Gmail profile when the id_token doesn't have it; null only if neither does).
+ */
+export async function exchangeGmailCode(code, codeVerifier) {
+  const oAuth2Client = createOAuthClient();
+  const { tokens } = await oAuth2Client.getToken({ code, codeVerifier });
+
+  let email = null;
+  if (tokens.id_token) {
+    try {
+      const payload = JSON.parse(Buffer.from(tokens.id_token.split(".")[1], "base64").toString());
+      email = payload.email || null;
+    } catch (e) {
+      console.warn("Failed to decode id_token:", e?.message || e);
+    }
+  }
+  if (!email) {
+    try {
+      oAuth2Client.setCredentials(tokens);
+      const profile = await google.gmail({ version: "v1", auth: oAuth2Client }).users.getProfile({ userId: "me" });
+      email = profile.data.emailAddress || null;
+    } catch (e) {
+      console.warn("Failed to read the Gmail profile:", e?.message || e);
+    }
+  }
+  return { refresh_token: tokens.refresh_token || null, email };
+}
+
+/**
+ * Revoke a refresh token with Google. Returns true if it is no longer valid (including already revoked).
+ */
+export async function revokeGmailToken(refreshToken) {
+  try {
+    await createOAuthClient().revokeToken(refreshToken);
+    return true;
+  } catch (err) {
+    if (err?.response?.data?.error === "invalid_token") return true;
+    console.warn("revokeGmailToken failed:", err?.response?.data || err?.message || err);
+    return false;
+  }
+}
 
-  const gmail = google.gmail({ version: "v1", auth: oAuth2Client });
-
-  const messageParts = [
-    `To: ${to}`,
-    `Subject: ${subject}`,
-    `MIME-Version: 1.0`,
-    `Content-Type: text/plain; charset="UTF-8"`,
-    ``,
-    bodyText || ""
-  ];
-  const message = messageParts.join("\n");
-
-  const encodedMessage = Buffer.from(message)
-    .toString("base64")
-    .replace(/\+/g, "-")
-    .replace(/\//g, "_")
-    .replace(/=+$/, "");
-
-  const res = await gmail.users.messages.send({
+/**
+ * Send a complete RFC 5322 message. Pass threadId to file it into an existing Gmail thread.
+ * Returns { messageId, threadId } (Gmail ids).
+ */
+export async function sendRawViaGmail(refreshToken, mime, { threadId } = {}) {
+  if (!refreshToken) throw new Error("No refresh token provided to gmail helper");
+  const raw = toBase64Url(mime);
+  const res = await gmailClient(refreshToken).users.messages.send({
     userId: "me",
-    requestBody: { raw: encodedMessage }
+    requestBody: threadId ? { raw, threadId } : { raw }
   });
+  return { messageId: res.data?.id || null, threadId: res.data?.threadId || null };
+}
+
+/**
+ * Whether `recipientEmail` has a message in the thread received after sinceTimestampMs.
+ * Needs the gmail.readonly scope; errors are logged and treated as "no reply".
+ */
+export async function recipientHasReplied(refreshToken, threadId, recipientEmail, sinceTimestampMs) {
+  if (!threadId || !recipientEmail) return false;
+  const gmail = gmailClient(refreshToken);
+
+  try {
+    const thread = await gmail.users.threads.get({
+      userId: "me",
+      id: threadId,
+      format: "metadata",
+      metadataHeaders: ["From"]
+    });
+
+    return (thread.data.messages || []).some(m => {
+      const from = headerValue(m.payload?.headers, "From").toLowerCase();
+      return from.includes(recipientEmail.toLowerCase()) && Number(m.internalDate || 0) > (sinceTimestampMs || 0);
+    });
+  } catch (err) {
+    console.warn("recipientHasReplied: error reading thread", threadId, err?.message || err);
+    return false;
+  }
+}
+
+/**
+ * Full message resource (payload with all MIME parts), e.g. for parsing bounce notifications.
+ */
+export async function getMessage(refreshToken, messageId) {
+  const res = await gmailClient(refreshToken).users.messages.get({ userId: "me", id: messageId, format: "full" });
+  return res.data;
+}
+
+/**
+ * Content of a message part Gmail returned by attachmentId only (base64url).
+ */
+export async function getAttachment(refreshToken, messageId, attachmentId) {
+  const res = await gmailClient(refreshToken).users.messages.attachments.get({ userId: "me", messageId, id: attachmentId });
+  return res.data?.data || "";
+}
+
+/**
+ * Mailbox's current history id - the starting point for listInboxAdditions.
+ */
+export async function currentHistoryId(refreshToken) {
+  const profile = await gmailClient(refreshToken).users.getProfile({ userId: "me" });
+  return profile.data.historyId || null;
+}
+
+/**
+ * Messages added to INBOX since startHistoryId, via users.history.list.
+ * Returns { messages: [{ id, threadId, from }], historyId, expired } - expired is true when Gmail no
+ * longer has history that far back (HTTP 404) and the caller should restart from currentHistoryId().
+ */
+export async function listInboxAdditions(refreshToken, startHistoryId, { maxPages = 10 } = {}) {
+  const gmail = gmailClient(refreshToken);
+  const added = new Map();
+  let historyId = startHistoryId;
+  let lastRecordId = startHistoryId;
+  let pageToken;
+
+  try {
+    for (let page = 0; page < maxPages; page++) {
+      const res = await gmail.users.history.list({
+        userId: "me",
+        startHistoryId,
+        historyTypes: ["messageAdded"],
+        labelId: "INBOX",
+        pageToken
+      });
+      for (const h of res.data.history || []) {
+        lastRecordId = h.id || lastRecordId;
+        for (const { message } of h.messagesAdded || []) {
+          if (message?.id && !(message.labelIds || []).includes("SENT")) added.set(message.id, message);
+        }
+      }
+      pageToken = res.data.nextPageToken;
+      // stopping early (maxPages) resumes from the last record we actually processed
+      historyId = pageToken ? lastRecordId : (res.data.historyId || historyId);
+      if (!pageToken) break;
+    }
+  } catch (err) {
+    if (err?.code === 404 || err?.response?.status === 404) return { messages: [], historyId: null, expired: true };
+    throw err;
+  }
 
-  return res.data?.id || res.data?.threadId || null;
+  const messages = [];
+  for (const m of added.values()) {
+    try {
+      const meta = await gmail.users.messages.get({ userId: "me", id: m.id, format: "metadata", metadataHeaders: ["From"] });
+      messages.push({ id: m.id, threadId: meta.data.threadId || m.threadId, from: headerValue(meta.data.payload?.headers, "From") });
+    } catch (err) {
+      // message may have been deleted since it arrived
+      console.warn("listInboxAdditions: error fetching message", m.id, err?.message || err);
+    }
+  }
+  return { messages, historyId, expired: false };
 }
@@ -0,0 +1,136 @@
+// graphHelper.js - Outlook / Microsoft 365 mailboxes through Microsoft Graph
+import axios from "axios";
+
+const CLIENT_ID = process.env.MICROSOFT_CLIENT_ID;
+const CLIENT_SECRET = process.env.MICROSOFT_CLIENT_SECRET;
+const TENANT = process.env.MICROSOFT_TENANT || "common";
+// the same /oauth2/callback serves both providers unless Azure needs a different URL registered
+const REDIRECT_URI = process.env.MICROSOFT_REDIRECT_URI || process.env.REDIRECT_URI;
+
+const AUTHORITY = `https://login.microsoftonline.com/${TENANT}/oauth2/v2.0`;
+const GRAPH = "https://graph.microsoft.com/v1.0";
+// Mail.Read is only used for the pre-send reply check, User.Read for the address when the id_token lacks it
+const SCOPES =
+  "offline_access openid email profile https://graph.microsoft.com/Mail.Send https://graph.microsoft.com/Mail.Read " +
+  "https://graph.microsoft.com/User.Read";
+
+/**
+ * Microsoft consent URL for connecting a mailbox (PKCE S256 challenge).
+ */
+export function microsoftAuthUrl({ state, codeChallenge }) {
+  const params = new URLSearchParams({
+    client_id: CLIENT_ID,
+    response_type: "code",
+    redirect_uri: REDIRECT_URI,
+    response_mode: "query",
+    scope: SCOPES,
+    prompt: "select_account",
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256"
+  });
+  return `${AUTHORITY}/authorize?${params}`;
+}
+
+async function tokenRequest(params) {
+  const res = await axios.post(
+    `${AUTHORITY}/token`,
+    new URLSearchParams({ client_id: CLIENT_ID, client_secret: CLIENT_SECRET, scope: SCOPES, ...params }).toString(),
+    { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+  );
+  return res.data;
+}
+
+/**
+ * Exchange the callback's code for tokens. Returns { refresh_token, email } (email from the id_token, or from
+ * /me when the id_token doesn't have it; null only if neither does).
+ */
+export async function exchangeMicrosoftCode(code, codeVerifier) {
+  const tokens = await tokenRequest({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: REDIRECT_URI,
+    code_verifier: codeVerifier
+  });
+
+  let email = null;
+  if (tokens.id_token) {
+    try {
+      const payload = JSON.parse(Buffer.from(tokens.id_token.split(".")[1], "base64").toString());
+      email = payload.email || payload.preferred_username || null;
+    } catch (e) {
+      console.warn("Failed to decode Microsoft id_token:", e?.message || e);
+    }
+  }
+  if (!email && tokens.access_token) {
+    try {
+      const me = await axios.get(`${GRAPH}/me`, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` },
+        params: { $select: "mail,userPrincipalName" }
+      });
+      email = me.data?.mail || me.data?.userPrincipalName || null;
+    } catch (e) {
+      console.warn("Failed to read the Microsoft profile:", e?.response?.data?.error?.message || e?.message || e);
+    }
+  }
+  return { refresh_token: tokens.refresh_token || null, email };
+}
+
+/**
+ * Access token for a stored refresh token. Microsoft rotates refresh tokens, so the (possibly new)
+ * refresh_token is returned too and should be stored. A revoked grant fails with error 'invalid_grant'.
+ */
+async function accessToken(refreshToken) {
+  if (!refreshToken) throw new Error("No refresh token provided to graph helper");
+  const tokens = await tokenRequest({ grant_type: "refresh_token", refresh_token: refreshToken });
+  return { accessToken: tokens.access_token, refreshToken: tokens.refresh_token || refreshToken };
+}
+
+/**
+ * Send a complete RFC 5322 message (Graph accepts base64 MIME on sendMail, which keeps our Message-ID,
+ * In-Reply-To and References headers). Graph returns no ids, so messageId/threadId are null.
+ */
+export async function sendRawViaGraph(refreshToken, mime) {
+  const token = await accessToken(refreshToken);
+  await axios.post(`${GRAPH}/me/sendMail`, Buffer.from(mime).toString("base64"), {
+    headers: { Authorization: `Bearer ${token.accessToken}`, "Content-Type": "text/plain" },
+    maxBodyLength: Infinity
+  });
+  return { messageId: null, threadId: null, refreshToken: token.refreshToken };
+}
+
+// a value for a single-quoted OData string literal ($filter), where a quote is written twice
+const odataString = value => String(value).replace(/'/g, "''");
+
+// conversationId of a message we sent, found by the Message-ID we gave it (null if Graph doesn't have it)
+async function sentConversationId(accessTokenValue, rfcMessageId) {
+  const res = await axios.get(`${GRAPH}/me/messages`, {
+    headers: { Authorization: `Bearer ${accessTokenValue}` },
+    params: { $filter: `internetMessageId eq '${odataString(rfcMessageId)}'`, $select: "conversationId", $top: 1 }
+  });
+  return res.data?.value?.[0]?.conversationId || null;
+}
+
+/**
+ * Whether `recipientEmail` replied after sinceTimestampMs. With rfcMessageId (the Message-ID of our last send)
+ * only messages in that conversation count; without it, or when Graph can't find that message, any mail from
+ * the address does. Errors are logged and treated as "no reply", like the Gmail check.
+ */
+export async function graphRecipientHasReplied(refreshToken, recipientEmail, sinceTimestampMs, rfcMessageId) {
+  if (!recipientEmail) return { replied: false };
+  const token = await accessToken(refreshToken);
+  try {
+    const since = new Date(sinceTimestampMs || 0).toISOString();
+    const filters = [`receivedDateTime gt ${since}`, `from/emailAddress/address eq '${odataString(recipientEmail.toLowerCase())}'`];
+    const conversationId = rfcMessageId ? await sentConversationId(token.accessToken, rfcMessageId) : null;
+    if (conversationId) filters.push(`conversationId eq '${odataString(conversationId)}'`);
+    const res = await axios.get(`${GRAPH}/me/mailFolders/inbox/messages`, {
+      headers: { Authorization: `Bearer ${token.accessToken}` },
+      params: { $filter: filters.join(" and "), $select: "id", $top: 1 }
+    });
+    return { replied: (res.data?.value || []).length > 0, refreshToken: token.refreshToken };
+  } catch (err) {
+    console.warn("graphRecipientHasReplied: error reading inbox", err?.response?.data?.error?.message || err?.message || err);
+    return { replied: false, refreshToken: token.refreshToken };
+  }
+}
@@ -0,0 +1,130 @@
+// importHelper.js - recipient lists from CSV / JSON: parsing, address validation, field names, dedup
+import { normalizeRecipient } from "./templateHelper.js";
+import { normalizeEmail } from "./suppressionHelper.js";
+
+export const MAX_IMPORT_ROWS = 10000;
+// header names (after normalizeFieldName) that hold the address
+const EMAIL_COLUMNS = ["email", "e-mail", "email_address", "e-mail_address"];
+const EMAIL_RE = /^[^\s@"(),:;<>[\]\\]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
+/**
+ * Column / attribute name as a merge field name: "First Name" -> "first_name".
+ */
+export function normalizeFieldName(name) {
+  return String(name ?? "").trim().toLowerCase().replace(/[^a-z0-9_.-]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+export function isValidEmail(email) {
+  return email.length <= 254 && EMAIL_RE.test(email);
+}
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, "" escapes, CRLF or LF, optional BOM) into rows of strings.
+ * Returns { rows, error }.
+ */
+export function parseCsv(text) {
+  if (typeof text !== "string") return { rows: null, error: "csv must be a string" };
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) return { rows: null, error: "csv has an unterminated quoted field" };
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // blank lines carry nothing
+  return { rows: rows.filter(r => r.some(v => v.trim() !== "")), error: null };
+}
+
+/**
+ * CSV text with a header row -> [{ email, ...columns }] entries for cleanRecipients. Returns { entries, error }.
+ */
+export function csvToEntries(text) {
+  const { rows, error } = parseCsv(text);
+  if (error) return { entries: null, error };
+  if (!rows.length) return { entries: null, error: "csv is empty" };
+
+  const header = rows[0].map(normalizeFieldName);
+  const emailIndex = header.findIndex(h => EMAIL_COLUMNS.includes(h));
+  if (emailIndex === -1) return { entries: null, error: "csv needs an email column" };
+
+  const entries = rows.slice(1).map(values => {
+    const entry = {};
+    header.forEach((name, i) => {
+      if (i !== emailIndex && name) entry[name] = values[i];
+    });
+    entry.email = values[emailIndex] ?? "";
+    return entry;
+  });
+  return { entries, error: null };
+}
+
+/**
+ * Validate and dedupe recipient entries (strings or objects, as accepted by normalizeRecipient).
+ * Addresses are lowercased, field names normalized and blank values dropped. `row` is the 1-based
+ * position in the input (for CSV, the data rows after the header, blank lines skipped).
+ * Returns { accepted: [{ row, email, fields }], rejected: [{ row, email, reason }] }.
+ */
+export function cleanRecipients(entries) {
+  const accepted = [];
+  const rejected = [];
+  const seen = new Map(); // email -> row it was first accepted on
+
+  for (const [i, entry] of (entries || []).entries()) {
+    const row = i + 1;
+    const { email: rawEmail, fields: rawFields } = normalizeRecipient(entry);
+    const email = normalizeEmail(rawEmail);
+    if (!email) {
+      rejected.push({ row, email: null, reason: "missing_email" });
+      continue;
+    }
+    if (!isValidEmail(email)) {
+      rejected.push({ row, email, reason: "invalid_email" });
+      continue;
+    }
+    if (seen.has(email)) {
+      rejected.push({ row, email, reason: "duplicate", duplicate_of_row: seen.get(email) });
+      continue;
+    }
+
+    const fields = {};
+    for (const [key, value] of Object.entries(rawFields || {})) {
+      const name = normalizeFieldName(key);
+      if (!name || value === undefined || value === null) continue;
+      const str = typeof value === "string" ? value.trim() : value;
+      if (str !== "") fields[name] = str;
+    }
+    seen.set(email, row);
+    accepted.push({ row, email, fields });
+  }
+  return { accepted, rejected };
+}
@@ -1,21 +1,37 @@
 // index.js - Kaptiv Gmail OAuth helper + send_email with persistent storage (Supabase)
 import express from "express";
-import axios from "axios";
 import { v4 as uuidv4 } from "uuid";
 import path from "path";
 import { fileURLToPath } from "url";
+import { createHash, randomBytes } from "crypto";
 import { createClient } from "@supabase/supabase-js";
-import { sendEmailViaGmail } from "./gmailHelper.js";
+import { findMissingFields, renderTemplate } from "./templateHelper.js";
+import { htmlToText, normalizeAttachments } from "./mimeHelper.js";
+import { storeAttachments } from "./attachmentHelper.js";
+import { verifyToken } from "./tokenHelper.js";
+import { addTracking, eventColumns, trackingContext } from "./trackingHelper.js";
+import { addSuppressions, isSuppressed, listUnsubscribeHeaders, unsubscribeUrl } from "./suppressionHelper.js";
+import { stopRun } from "./sequenceHelper.js";
+import { emitEvent } from "./webhookHelper.js";
+import { THROTTLE_COLUMNS, checkSendAllowed, quotaStatus, releaseSend, reserveSend } from "./throttleHelper.js";
+import {
+  encryptRefreshToken, getCredential, listMailboxes, resumeMailbox, suspendMailbox
+} from "./credentialHelper.js";
+import { PROVIDER_NAMES, SENDER_COLUMNS, getProvider, isCredentialError, sendMessage } from "./providerHelper.js";
+import { parseSmtpSettings, resolveSmtpHost, verifySmtp } from "./smtpHelper.js";
+import { requireScope } from "./authHelper.js";
 
 const app = express();
 app.use(express.json());
 
 // ENV vars (set these in Vercel)
-const CLIENT_ID = process.env.GOOGLE_CLIENT_ID;
-const CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
-const REDIRECT_URI = process.env.REDIRECT_URI; // e.g., https://kaptiv-eight.vercel.app/oauth2/callback
-const KAPTIV_API_KEY = process.env.KAPTIV_API_KEY;
+// Provider OAuth settings (GOOGLE_CLIENT_ID, MICROSOFT_CLIENT_ID, REDIRECT_URI, ...) are read by gmailHelper / graphHelper
 const FRONTEND_RETURN = process.env.FRONTEND_RETURN || "https://kaptiv.io/gmail-connected";
+// Comma-separated origins return_url may point at (FRONTEND_RETURN's origin is always allowed)
+const RETURN_URL_ALLOWLIST = (process.env.RETURN_URL_ALLOWLIST || "").split(",").map(s => s.trim()).filter(Boolean);
+const OAUTH_STATE_TTL_MS = 1000 * 60 * 15;
+// providers connected through /oauth/start; SMTP relays are added with POST /mailboxes/smtp
+const OAUTH_PROVIDERS = PROVIDER_NAMES.filter(name => getProvider(name).oauth);
 
 // Supabase client (server-side)
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -25,38 +41,77 @@ if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
 }
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
-// In-memory state store for OAuth state -> owner_id mapping (temporary)
-const stateStore = new Map(); // state -> { owner_id, return_url, expires_at }
+// 1x1 transparent GIF served by the open-tracking pixel route
+const TRACKING_PIXEL = Buffer.from("R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7", "base64");
 
-// Helper middleware: require API key in Authorization header
-function requireApiKey(req, res, next) {
-  const auth = (req.headers.authorization || "");
-  const token = auth.startsWith("Bearer ") ? auth.split(" ")[1] : null;
-  if (!token || token !== KAPTIV_API_KEY) {
-    return res.status(401).json({ ok: false, error: "unauthorized" });
+// OAuth state lives in the oauth_states table (state, owner_id, return_url, label, provider, code_verifier, expires_at)
+// so the callback works on whichever serverless instance it lands on
+
+// return_url must be on an allow-listed origin, otherwise the callback would be an open redirect
+function isAllowedReturnUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return false;
   }
-  next();
+  const allowed = [new URL(FRONTEND_RETURN).origin, ...RETURN_URL_ALLOWLIST.map(o => o.replace(/\/+$/, ""))];
+  return allowed.includes(url.origin);
+}
+
+const isUUID = s => typeof s === "string" && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(s);
+
+// mailbox_id (optional on sends) must be one of the owner's mailboxes; without one the default mailbox is used
+async function ownsMailbox(owner_id, mailbox_id) {
+  const { data, error } = await supabase
+    .from("credentials")
+    .select("id")
+    .eq("id", mailbox_id)
+    .eq("owner_id", owner_id)
+    .maybeSingle();
+  if (error) throw error;
+  return !!data;
 }
 
+// Every authenticated route takes its owner from the caller's API key (req.auth.ownerId, see authHelper.js)
+
 // POST /oauth/start
-app.post("/oauth/start", requireApiKey, (req, res) => {
+app.post("/oauth/start", requireScope(supabase, "settings:write"), async (req, res) => {
   try {
-    const { owner_id, return_url } = req.body || {};
-    if (!owner_id) return res.status(400).json({ ok: false, error: "owner_id required" });
+    const owner_id = req.auth.ownerId;
+    const { return_url, label, provider = "gmail" } = req.body || {};
+    if (!OAUTH_PROVIDERS.includes(provider)) {
+      return res.status(400).json({ ok: false, error: `provider must be one of ${OAUTH_PROVIDERS.join(", ")}` });
+    }
+    if (label != null && typeof label !== "string") return res.status(400).json({ ok: false, error: "label must be a string" });
+    if (return_url && !isAllowedReturnUrl(return_url)) {
+      return res.status(400).json({ ok: false, error: "return_url not allowed" });
+    }
 
+    // PKCE: the verifier stays server-side, the provider only sees its SHA-256 challenge
     const state = uuidv4();
-    stateStore.set(state, {
+    const codeVerifier = randomBytes(48).toString("base64url");
+    const codeChallenge = createHash("sha256").update(codeVerifier).digest("base64url");
+
+    const now = new Date();
+    const { error } = await supabase.from("oauth_states").insert([{
+      state,
       owner_id,
       return_url: return_url || FRONTEND_RETURN,
-      expires_at: Date.now() + 1000 * 60 * 15
-    });
+      label: label?.trim() || null,
+      provider,
+      code_verifier: codeVerifier,
+      expires_at: new Date(now.getTime() + OAUTH_STATE_TTL_MS).toISOString(),
+      created_at: now.toISOString()
+    }]);
+    if (error) {
+      console.error("oauth state insert error:", error);
+      return res.status(500).json({ ok: false, error: "db_error" });
+    }
+    // housekeeping: drop abandoned states
+    await supabase.from("oauth_states").delete().lt("expires_at", now.toISOString());
 
-    const scope = encodeURIComponent("https://www.googleapis.com/auth/gmail.send openid email profile");
-    const authUrl =
-      `https://accounts.google.com/o/oauth2/v2/auth?client_id=${CLIENT_ID}` +
-      `&redirect_uri=${encodeURIComponent(REDIRECT_URI)}` +
-      `&response_type=code&scope=${scope}` +
-      `&access_type=offline&prompt=consent&state=${encodeURIComponent(state)}`;
+    const authUrl = getProvider(provider).authUrl({ state, codeChallenge });
 
     return res.json({ ok: true, auth_url: authUrl, state });
   } catch (err) {
@@ -71,34 +126,24 @@ app.get("/oauth2/callback", async (req, res) => {
     const { code, state } = req.query;
     if (!code || !state) return res.status(400).send("Missing code or state.");
 
-    const entry = stateStore.get(state);
+    // consume the state in one statement so it can't be replayed
+    const { data: entry, error: stateErr } = await supabase
+      .from("oauth_states")
+      .delete()
+      .eq("state", state)
+      .gt("expires_at", new Date().toISOString())
+      .select()
+      .maybeSingle();
+    if (stateErr) console.error("oauth state read error:", stateErr);
     if (!entry) return res.status(400).send("Invalid or expired state.");
-    stateStore.delete(state);
-
-    // Exchange code for tokens
-    const tokenRes = await axios.post(
-      "https://oauth2.googleapis.com/token",
-      new URLSearchParams({
-        code,
-        client_id: CLIENT_ID,
-        client_secret: CLIENT_SECRET,
-        redirect_uri: REDIRECT_URI,
-        grant_type: "authorization_code"
-      }).toString(),
-      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
-    );
-
-    const { refresh_token, id_token } = tokenRes.data;
 
-    // Extract email from id_token
-    let email = null;
-    if (id_token) {
-      try {
-        const payload = JSON.parse(Buffer.from(id_token.split(".")[1], "base64").toString());
-        email = payload.email || null;
-      } catch (e) {
-        console.warn("Failed to decode id_token:", e?.message || e);
-      }
+    // Exchange code for tokens (the account's email comes from the id_token or the provider profile)
+    const provider = entry.provider || "gmail";
+    const { refresh_token, email } = await getProvider(provider).exchangeCode(code, entry.code_verifier);
+    // mailboxes are keyed by (owner_id, email); without the address every reconnect would add another row
+    if (!email) {
+      console.error("oauth callback: no email address for the connected account", { owner_id: entry.owner_id, provider });
+      return res.status(400).send("Could not determine the mailbox's email address. Please try connecting again.");
     }
 
     // Persist to Supabase
@@ -107,21 +152,48 @@ app.get("/oauth2/callback", async (req, res) => {
     } else {
       const upsert = {
         owner_id: entry.owner_id,
-        email: email || null,
-        refresh_token: refresh_token || null,
+        email,
+        provider,
+        smtp_settings: null,
+        ...encryptRefreshToken(refresh_token),
+        status: refresh_token ? "active" : "needs_reauth",
+        auth_error: null,
+        auth_error_at: null,
         created_at: new Date().toISOString()
       };
-      const { error } = await supabase.from("credentials").upsert(upsert, { onConflict: "owner_id" });
+      // a label chosen at /oauth/start names the mailbox; reconnecting without one keeps the old label
+      if (entry.label) upsert.label = entry.label;
+      // one row per mailbox: connecting another Gmail account adds a mailbox instead of replacing the first
+      const { data: saved, error } = await supabase
+        .from("credentials")
+        .upsert(upsert, { onConflict: "owner_id,email" })
+        .select("id, owner_id")
+        .single();
       if (error) {
         console.error("Supabase upsert error:", error);
         // continue — we still redirect but warn
       } else {
         console.log("Persisted credential for owner:", entry.owner_id, { email, hasRefresh: !!refresh_token });
+        await emitEvent(supabase, entry.owner_id, "credential.connected", {
+          mailbox_id: saved.id,
+          email: email || null,
+          provider,
+          status: upsert.status
+        });
+        // reconnecting a mailbox that lost access picks up the runs and jobs held for it
+        if (refresh_token) {
+          try {
+            const resumed = await resumeMailbox(supabase, saved);
+            if (resumed.runs || resumed.jobs) console.log("Resumed after reconnect:", saved.id, resumed);
+          } catch (e) {
+            console.error("resume after reconnect failed:", e?.message || e);
+          }
+        }
       }
     }
 
     // Redirect back to Bubble frontend
-    const redirectBack = entry.return_url || FRONTEND_RETURN;
+    const redirectBack = entry.return_url && isAllowedReturnUrl(entry.return_url) ? entry.return_url : FRONTEND_RETURN;
     const url = redirectBack + (redirectBack.includes("?") ? "&" : "?") + `status=success&owner_id=${encodeURIComponent(entry.owner_id)}`;
     return res.redirect(url);
   } catch (err) {
@@ -131,47 +203,256 @@ app.get("/oauth2/callback", async (req, res) => {
 });
 
 // GET /status
-app.get("/status", requireApiKey, async (req, res) => {
-  const owner_id = req.query.owner_id;
-  if (!owner_id) return res.status(400).json({ ok: false, error: "owner_id required" });
+// Lists the owner's mailboxes (default first); the top-level fields describe the default mailbox.
+app.get("/status", requireScope(supabase, "read"), async (req, res) => {
+  const owner_id = req.auth.ownerId;
 
   try {
     if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-      return res.json({ ok: true, connected: false });
+      return res.json({ ok: true, connected: false, mailboxes: [] });
     }
-    const { data, error } = await supabase.from("credentials").select("refresh_token, email, created_at").eq("owner_id", owner_id).maybeSingle();
-    if (error) {
+    let rows;
+    try {
+      rows = await listMailboxes(supabase, owner_id, `id, email, label, provider, status, auth_error_at, created_at, ${THROTTLE_COLUMNS}`);
+    } catch (error) {
       console.error("Supabase read error:", error);
       return res.status(500).json({ ok: false, error: "db_error" });
     }
-    if (!data) return res.json({ ok: true, connected: false });
-    return res.json({ ok: true, connected: !!data.refresh_token, email: data.email, created_at: data.created_at });
+    // status: 'active', 'needs_reauth' (access revoked or expired; reconnect via /oauth/start) or 'disconnected'
+    const mailboxes = rows.map(m => ({
+      id: m.id,
+      email: m.email,
+      label: m.label || null,
+      provider: m.provider || "gmail",
+      status: m.status || "active",
+      connected: m.connected && m.status !== "needs_reauth",
+      needs_reauth: m.status === "needs_reauth",
+      auth_error_at: m.auth_error_at || null,
+      created_at: m.created_at,
+      quota: quotaStatus(m)
+    }));
+    if (!mailboxes.length) return res.json({ ok: true, connected: false, needs_reauth: false, mailboxes });
+    const primary = mailboxes.find(m => m.status !== "disconnected") || mailboxes[0];
+    return res.json({
+      ok: true,
+      connected: primary.connected,
+      needs_reauth: mailboxes.some(m => m.needs_reauth),
+      email: primary.email,
+      created_at: primary.created_at,
+      quota: primary.quota,
+      mailboxes
+    });
   } catch (err) {
     console.error("status error:", err);
     return res.status(500).json({ ok: false, error: "internal_error" });
   }
 });
 
-// POST /send_email
-app.post("/send_email", requireApiKey, async (req, res) => {
+// POST /mailboxes/smtp - { email, label?, host, port?, secure?, username, password }
+// Adds (or updates) a mailbox that sends through the customer's SMTP relay. The login is checked before saving.
+app.post("/mailboxes/smtp", requireScope(supabase, "settings:write"), async (req, res) => {
   try {
-    const { owner_id, to, subject, body_text } = req.body || {};
-    if (!owner_id || !to) return res.status(400).json({ ok: false, error: "owner_id and to required" });
+    const owner_id = req.auth.ownerId;
+    const { email, label, password, ...rest } = req.body || {};
+    if (!email) return res.status(400).json({ ok: false, error: "email required" });
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) return res.status(400).json({ ok: false, error: "email is not a valid address" });
+    if (label != null && typeof label !== "string") return res.status(400).json({ ok: false, error: "label must be a string" });
+    if (!password || typeof password !== "string") return res.status(400).json({ ok: false, error: "password required" });
+    const { settings, error: settingsErr } = parseSmtpSettings(rest);
+    if (settingsErr) return res.status(400).json({ ok: false, error: settingsErr });
 
-    // read credential from Supabase
-    const { data, error } = await supabase.from("credentials").select("refresh_token, email").eq("owner_id", owner_id).maybeSingle();
+    const { error: hostErr } = await resolveSmtpHost(settings.host);
+    if (hostErr) return res.status(400).json({ ok: false, error: hostErr });
+    try {
+      await verifySmtp(settings, password);
+    } catch (e) {
+      // the relay's own error stays in the logs: echoing socket errors back would map the network for the caller
+      console.warn("smtp verify failed:", settings.host, settings.port, e?.message || e);
+      return res.status(400).json({ ok: false, error: "smtp_verify_failed" });
+    }
+
+    const upsert = {
+      owner_id,
+      email: email.trim(),
+      provider: "smtp",
+      smtp_settings: settings,
+      // the SMTP password takes the refresh token's place, so it is encrypted the same way
+      ...encryptRefreshToken(password),
+      status: "active",
+      auth_error: null,
+      auth_error_at: null,
+      created_at: new Date().toISOString()
+    };
+    if (label?.trim()) upsert.label = label.trim();
+    const { data: saved, error } = await supabase
+      .from("credentials")
+      .upsert(upsert, { onConflict: "owner_id,email" })
+      .select("id, owner_id, email, label")
+      .single();
     if (error) {
-      console.error("Supabase read error:", error);
+      console.error("smtp mailbox upsert error:", error);
       return res.status(500).json({ ok: false, error: "db_error" });
     }
-    const refreshToken = data?.refresh_token || null;
-    if (!refreshToken) return res.status(400).json({ ok: false, error: "No Gmail connected for this user" });
 
-    const messageId = await sendEmailViaGmail(refreshToken, to, subject || "(no subject)", body_text || "");
-    // optional: update last_used_at
-    await supabase.from("credentials").update({ last_used_at: new Date().toISOString() }).eq("owner_id", owner_id);
+    await emitEvent(supabase, owner_id, "credential.connected", {
+      mailbox_id: saved.id,
+      email: saved.email,
+      provider: "smtp",
+      status: "active"
+    });
+    const resumed = await resumeMailbox(supabase, saved);
+    return res.json({ ok: true, mailbox: { ...saved, provider: "smtp" }, resumed_runs: resumed.runs, resumed_jobs: resumed.jobs });
+  } catch (err) {
+    console.error("smtp mailbox error:", err);
+    return res.status(500).json({ ok: false, error: "internal_error" });
+  }
+});
+
+// PATCH /mailboxes/:id - { label }
+app.patch("/mailboxes/:id", requireScope(supabase, "settings:write"), async (req, res) => {
+  try {
+    const owner_id = req.auth.ownerId;
+    const { label } = req.body || {};
+    if (!isUUID(req.params.id)) return res.status(404).json({ ok: false, error: "not_found" });
+    if (label !== null && typeof label !== "string") return res.status(400).json({ ok: false, error: "label must be a string or null" });
 
-    return res.json({ ok: true, message_id: messageId });
+    const { data, error } = await supabase
+      .from("credentials")
+      .update({ label: label?.trim() || null })
+      .eq("id", req.params.id)
+      .eq("owner_id", owner_id)
+      .select("id, email, label")
+      .maybeSingle();
+    if (error) {
+      console.error("mailbox update error:", error);
+      return res.status(500).json({ ok: false, error: "db_error" });
+    }
+    if (!data) return res.status(404).json({ ok: false, error: "not_found" });
+    return res.json({ ok: true, mailbox: data });
+  } catch (err) {
+    console.error("mailbox update error:", err);
+    return res.status(500).json({ ok: false, error: "internal_error" });
+  }
+});
+
+// DELETE /mailboxes/:id - disconnect: revoke the token with the provider (where it supports that) and remove it.
+// The mailbox row stays (status 'disconnected') so its held runs resume if the same account is reconnected.
+app.delete("/mailboxes/:id", requireScope(supabase, "settings:write"), async (req, res) => {
+  try {
+    const owner_id = req.auth.ownerId;
+    if (!isUUID(req.params.id)) return res.status(404).json({ ok: false, error: "not_found" });
+
+    let mailbox;
+    try {
+      mailbox = await getCredential(supabase, owner_id, "id, owner_id, email, refresh_token, provider", { mailboxId: req.params.id });
+    } catch (e) {
+      // a token we can no longer decrypt is still removed below, it just can't be revoked
+      console.error("mailbox read error:", e?.message || e);
+      mailbox = await getCredential(supabase, owner_id, "id, owner_id, email, provider", { mailboxId: req.params.id });
+    }
+    if (!mailbox) return res.status(404).json({ ok: false, error: "not_found" });
+
+    const revoked = mailbox.refresh_token ? await getProvider(mailbox.provider).revoke(mailbox) : false;
+
+    const held = await suspendMailbox(supabase, mailbox, { status: "disconnected" });
+    const { error } = await supabase
+      .from("credentials")
+      .update({ refresh_token: null, key_id: null, history_id: null, smtp_settings: null })
+      .eq("id", mailbox.id);
+    if (error) {
+      console.error("mailbox disconnect error:", error);
+      return res.status(500).json({ ok: false, error: "db_error" });
+    }
+    return res.json({ ok: true, mailbox_id: mailbox.id, revoked, paused_runs: held.runs, paused_jobs: held.jobs });
+  } catch (err) {
+    console.error("mailbox disconnect error:", err);
+    return res.status(500).json({ ok: false, error: "internal_error" });
+  }
+});
+
+// POST /send_email
+app.post("/send_email", requireScope(supabase, "send"), async (req, res) => {
+  try {
+    const owner_id = req.auth.ownerId;
+    const { mailbox_id, to, subject, body_text, body_html, attachments, merge_fields, track_opens, track_clicks } = req.body || {};
+    if (!to) return res.status(400).json({ ok: false, error: "to required" });
+    if (mailbox_id != null && !isUUID(mailbox_id)) return res.status(400).json({ ok: false, error: "mailbox_id must be a valid uuid" });
+
+    const { attachments: files, error: attachErr } = normalizeAttachments(attachments);
+    if (attachErr) return res.status(400).json({ ok: false, error: attachErr });
+
+    if (await isSuppressed(supabase, owner_id, to)) {
+      return res.status(409).json({ ok: false, error: "recipient_suppressed" });
+    }
+
+    // merge fields render immediately for one-off sends ({{unsubscribe_url}} is built in)
+    const unsubUrl = unsubscribeUrl(owner_id, to);
+    const fields = { ...(merge_fields || {}), email: to, unsubscribe_url: unsubUrl || undefined };
+    const missing = findMissingFields([subject, body_text, body_html], fields);
+    if (missing.length) return res.status(400).json({ ok: false, error: "missing_merge_fields", fields: missing });
+
+    // read (and decrypt) the credential
+    let data;
+    try {
+      data = await getCredential(supabase, owner_id, `${SENDER_COLUMNS}, ${THROTTLE_COLUMNS}`, { mailboxId: mailbox_id });
+    } catch (error) {
+      console.error("Credential read error:", error);
+      return res.status(500).json({ ok: false, error: "db_error" });
+    }
+    if (mailbox_id && !data) return res.status(404).json({ ok: false, error: "mailbox_not_found" });
+    if (!data?.refresh_token) return res.status(400).json({ ok: false, error: "No mailbox connected for this user" });
+    if (data.status === "needs_reauth") return res.status(409).json({ ok: false, error: "needs_reauth", mailbox_id: data.id });
+
+    // immediate sends share the mailbox's daily cap and spacing with scheduled jobs; the slot is taken before
+    // sending (also updates last_used_at) and given back if the send fails
+    let allowance = checkSendAllowed(data);
+    if (allowance.allowed) allowance = await reserveSend(supabase, data);
+    if (!allowance.allowed) {
+      return res.status(429).json({ ok: false, error: "send_limit_reached", reason: allowance.reason, retry_at: allowance.deferUntil.toISOString() });
+    }
+
+    // tracking only applies to HTML bodies; events are tied back via tracking_id
+    const trackingId = body_html && (track_opens || track_clicks) ? uuidv4() : null;
+    const renderedHtml = renderTemplate(body_html, fields, { html: true }) || null;
+    const bodyHtml = addTracking(
+      renderedHtml,
+      trackingContext({ tracking_id: trackingId }),
+      { opens: !!track_opens, clicks: !!track_clicks }
+    );
+
+    let sent;
+    try {
+      sent = await sendMessage(supabase, data, {
+        to,
+        subject: renderTemplate(subject, fields) || "(no subject)",
+        // a generated plain-text part comes from the html before tracking, so it shows the real links
+        text: renderTemplate(body_text, fields) || (renderedHtml ? htmlToText(renderedHtml) : ""),
+        html: bodyHtml,
+        attachments: files,
+        headers: listUnsubscribeHeaders(unsubUrl)
+      });
+    } catch (sendErr) {
+      await releaseSend(supabase, data);
+      if (!isCredentialError(sendErr)) throw sendErr;
+      // access was revoked: hold the mailbox's runs and jobs until the user reconnects it
+      await suspendMailbox(supabase, data, { status: "needs_reauth", error: sendErr.message });
+      return res.status(409).json({ ok: false, error: "needs_reauth", mailbox_id: data.id });
+    }
+
+    // the 'sent' row that opens and clicks carrying this tracking_id join back to
+    if (trackingId) {
+      const now = new Date().toISOString();
+      const { error: eventErr } = await supabase.from("email_events").insert([{
+        tracking_id: trackingId,
+        message_id: sent.messageId || null,
+        status: "sent",
+        sent_at: now,
+        created_at: now
+      }]);
+      if (eventErr) console.error("send_email: failed to record the sent event", trackingId, eventErr);
+    }
+
+    return res.json({ ok: true, message_id: sent.messageId, rfc_message_id: sent.rfcMessageId, tracking_id: trackingId });
   } catch (err) {
     console.error("send_email error:", err?.response?.data || err?.message || err);
     return res.status(500).json({ ok: false, error: "send_error", detail: err?.message });
@@ -179,13 +460,34 @@ app.post("/send_email", requireApiKey, async (req, res) => {
 });
 
 // POST /schedule_email
-app.post("/schedule_email", requireApiKey, async (req, res) => {
+app.post("/schedule_email", requireScope(supabase, "send"), async (req, res) => {
   try {
-    const { owner_id, to, subject, body_text, scheduled_for, timezone } = req.body || {};
+    const owner_id = req.auth.ownerId;
+    const {
+      mailbox_id, to, subject, body_text, body_html, attachments, scheduled_for, timezone, merge_fields, track_opens, track_clicks
+    } = req.body || {};
 
     // Basic validation
-    if (!owner_id || !to || !scheduled_for) {
-      return res.status(400).json({ ok: false, error: "owner_id, to and scheduled_for are required" });
+    if (!to || !scheduled_for) {
+      return res.status(400).json({ ok: false, error: "to and scheduled_for are required" });
+    }
+    if (mailbox_id != null && !isUUID(mailbox_id)) return res.status(400).json({ ok: false, error: "mailbox_id must be a valid uuid" });
+    if (merge_fields != null && (typeof merge_fields !== "object" || Array.isArray(merge_fields))) {
+      return res.status(400).json({ ok: false, error: "merge_fields must be an object" });
+    }
+    const { attachments: files, error: attachErr } = normalizeAttachments(attachments);
+    if (attachErr) return res.status(400).json({ ok: false, error: attachErr });
+
+    // merge fields are stored with the job and rendered by the worker at send time
+    const unsubUrl = unsubscribeUrl(owner_id, to);
+    const missing = findMissingFields(
+      [subject, body_text, body_html],
+      { ...(merge_fields || {}), email: to, unsubscribe_url: unsubUrl || undefined }
+    );
+    if (missing.length) return res.status(400).json({ ok: false, error: "missing_merge_fields", fields: missing });
+
+    if (await isSuppressed(supabase, owner_id, to)) {
+      return res.status(409).json({ ok: false, error: "recipient_suppressed" });
     }
 
     // Ensure scheduled_for is a valid ISO timestamp
@@ -194,14 +496,27 @@ app.post("/schedule_email", requireApiKey, async (req, res) => {
       return res.status(400).json({ ok: false, error: "scheduled_for must be a valid ISO datetime string (UTC recommended)" });
     }
 
+    if (mailbox_id && !(await ownsMailbox(owner_id, mailbox_id))) {
+      return res.status(404).json({ ok: false, error: "mailbox_not_found" });
+    }
+    // without a mailbox_id the job is pinned to the owner's current default, so it keeps that sender
+    const sender = mailbox_id || (await getCredential(supabase, owner_id, "id"))?.id;
+    if (!sender) return res.status(400).json({ ok: false, error: "No mailbox connected for this user" });
+
     // Insert into Supabase scheduled_emails table
     const { data, error } = await supabase
       .from("scheduled_emails")
       .insert([{
         owner_id,
+        mailbox_id: sender,
         to_email: to,
         subject: subject || null,
         body_text: body_text || null,
+        body_html: body_html || null,
+        attachments: files.length ? await storeAttachments(supabase, owner_id, files) : null,
+        merge_fields: merge_fields || null,
+        track_opens: !!track_opens,
+        track_clicks: !!track_clicks,
         scheduled_for: when.toISOString(), // keep in UTC
         timezone: timezone || null
       }])
@@ -220,6 +535,251 @@ app.post("/schedule_email", requireApiKey, async (req, res) => {
   }
 });
 
+// Columns returned when listing / reading scheduled emails (attachment contents are left out)
+const SCHEDULED_EMAIL_COLUMNS =
+  "id, owner_id, mailbox_id, to_email, subject, body_text, body_html, merge_fields, scheduled_for, timezone, status, attempts, " +
+  "last_error, error_history, lease_expires_at, dead_at, message_id, track_opens, track_clicks, sequence_run_id, step_id, branch_step_id, " +
+  "variant_id, created_at, updated_at";
+
+// Load a one-off scheduled email owned by owner_id; sends the error response and returns null if it can't be used
+async function loadScheduledEmail(res, id, owner_id) {
+  if (!isUUID(id)) {
+    res.status(404).json({ ok: false, error: "not_found" });
+    return null;
+  }
+  const { data, error } = await supabase
+    .from("scheduled_emails")
+    .select(SCHEDULED_EMAIL_COLUMNS)
+    .eq("id", id)
+    .eq("owner_id", owner_id)
+    .maybeSingle();
+  if (error) {
+    console.error("scheduled_emails read error:", error);
+    res.status(500).json({ ok: false, error: "db_error" });
+    return null;
+  }
+  if (!data) {
+    res.status(404).json({ ok: false, error: "not_found" });
+    return null;
+  }
+  return data;
+}
+
+// Edits and cancels only apply to one-off jobs the worker hasn't claimed yet
+function notEditable(res, job) {
+  if (job.sequence_run_id) {
+    return res.status(409).json({ ok: false, error: "managed_by_sequence", detail: "Use /api/run_control for sequence emails" });
+  }
+  return res.status(409).json({ ok: false, error: "not_editable", status: job.status });
+}
+
+// GET /scheduled_emails?status=&from=&to=&limit=&offset=&include_sequences=true
+app.get("/scheduled_emails", requireScope(supabase, "read"), async (req, res) => {
+  const owner_id = req.auth.ownerId;
+  const { status, from, to, include_sequences } = req.query;
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+    return res.status(400).json({ ok: false, error: "from/to must be valid ISO datetimes" });
+  }
+
+  try {
+    let query = supabase
+      .from("scheduled_emails")
+      .select(SCHEDULED_EMAIL_COLUMNS, { count: "exact" })
+      .eq("owner_id", owner_id)
+      .order("scheduled_for", { ascending: true })
+      .range(offset, offset + limit - 1);
+    if (include_sequences !== "true") query = query.is("sequence_run_id", null);
+    if (status) query = query.in("status", String(status).split(","));
+    if (fromDate) query = query.gte("scheduled_for", fromDate.toISOString());
+    if (toDate) query = query.lte("scheduled_for", toDate.toISOString());
+
+    const { data, error, count } = await query;
+    if (error) {
+      console.error("scheduled_emails list error:", error);
+      return res.status(500).json({ ok: false, error: "db_error" });
+    }
+    return res.json({ ok: true, total: count, limit, offset, jobs: data || [] });
+  } catch (err) {
+    console.error("scheduled_emails list error:", err);
+    return res.status(500).json({ ok: false, error: "internal_error" });
+  }
+});
+
+// GET /scheduled_emails/:id
+app.get("/scheduled_emails/:id", requireScope(supabase, "read"), async (req, res) => {
+  try {
+    const job = await loadScheduledEmail(res, req.params.id, req.auth.ownerId);
+    if (!job) return;
+    return res.json({ ok: true, job });
+  } catch (err) {
+    console.error("scheduled_emails read error:", err);
+    return res.status(500).json({ ok: false, error: "internal_error" });
+  }
+});
+
+// PATCH /scheduled_emails/:id { scheduled_for?, subject?, body_text?, body_html? }
+app.patch("/scheduled_emails/:id", requireScope(supabase, "send"), async (req, res) => {
+  try {
+    const owner_id = req.auth.ownerId;
+    const { scheduled_for, subject, body_text, body_html } = req.body || {};
+    const job = await loadScheduledEmail(res, req.params.id, owner_id);
+    if (!job) return;
+    if (job.sequence_run_id || job.status !== "scheduled") return notEditable(res, job);
+
+    const update = {};
+    if (scheduled_for !== undefined) {
+      const when = new Date(scheduled_for);
+      if (Number.isNaN(when.getTime())) {
+        return res.status(400).json({ ok: false, error: "scheduled_for must be a valid ISO datetime string (UTC recommended)" });
+      }
+      update.scheduled_for = when.toISOString();
+    }
+    if (subject !== undefined) update.subject = subject || null;
+    if (body_text !== undefined) update.body_text = body_text || null;
+    if (body_html !== undefined) update.body_html = body_html || null;
+    if (!Object.keys(update).length) return res.status(400).json({ ok: false, error: "nothing to update" });
+
+    const next = { ...job, ...update };
+    const missing = findMissingFields(
+      [next.subject, next.body_text, next.body_html],
+      { ...(job.merge_fields || {}), email: job.to_email, unsubscribe_url: unsubscribeUrl(owner_id, job.to_email) || undefined }
+    );
+    if (missing.length) return res.status(400).json({ ok: false, error: "missing_merge_fields", fields: missing });
+
+    // status guard in the update itself: a job claimed by the worker in the meantime is left alone
+    const { data, error } = await supabase
+      .from("scheduled_emails")
+      .update({ ...update, updated_at: new Date().toISOString() })
+      .eq("id", job.id)
+      .eq("owner_id", owner_id)
+      .eq("status", "scheduled")
+      .select(SCHEDULED_EMAIL_COLUMNS)
+      .maybeSingle();
+    if (error) {
+      console.error("scheduled_emails update error:", error);
+      return res.status(500).json({ ok: false, error: "db_error" });
+    }
+    if (!data) return notEditable(res, { ...job, status: "claimed" });
+    return res.json({ ok: true, job: data });
+  } catch (err) {
+    console.error("scheduled_emails update error:", err);
+    return res.status(500).json({ ok: false, error: "internal_error" });
+  }
+});
+
+// DELETE /scheduled_emails/:id - cancels the job (the row is kept with status 'cancelled')
+app.delete("/scheduled_emails/:id", requireScope(supabase, "send"), async (req, res) => {
+  try {
+    const owner_id = req.auth.ownerId;
+    const job = await loadScheduledEmail(res, req.params.id, owner_id);
+    if (!job) return;
+    if (job.sequence_run_id || job.status !== "scheduled") return notEditable(res, job);
+
+    const { data, error } = await supabase
+      .from("scheduled_emails")
+      .update({ status: "cancelled", last_error: "cancelled", updated_at: new Date().toISOString() })
+      .eq("id", job.id)
+      .eq("owner_id", owner_id)
+      .eq("status", "scheduled")
+      .select(SCHEDULED_EMAIL_COLUMNS)
+      .maybeSingle();
+    if (error) {
+      console.error("scheduled_emails cancel error:", error);
+      return res.status(500).json({ ok: false, error: "db_error" });
+    }
+    if (!data) return notEditable(res, { ...job, status: "claimed" });
+    return res.json({ ok: true, job: data });
+  } catch (err) {
+    console.error("scheduled_emails cancel error:", err);
+    return res.status(500).json({ ok: false, error: "internal_error" });
+  }
+});
+
+// Record an open/click event; tracking must never break the redirect or pixel response
+async function recordTrackingEvent(ctx, status, req, extra = {}) {
+  try {
+    const { error } = await supabase.from("email_events").insert([{
+      ...eventColumns(ctx),
+      status,
+      user_agent: (req.headers["user-agent"] || "").slice(0, 500) || null,
+      created_at: new Date().toISOString(),
+      ...extra
+    }]);
+    if (error) console.error("tracking event insert error:", error);
+  } catch (err) {
+    console.error("tracking event error:", err?.message || err);
+  }
+}
+
+// GET /t/o/:token.gif - open tracking pixel
+app.get("/t/o/:token", async (req, res) => {
+  const ctx = verifyToken(req.params.token.replace(/\.gif$/, ""));
+  if (ctx) await recordTrackingEvent(ctx, "opened", req);
+
+  res.set({
+    "Content-Type": "image/gif",
+    "Content-Length": TRACKING_PIXEL.length,
+    "Cache-Control": "no-store, no-cache, must-revalidate, private"
+  });
+  return res.end(TRACKING_PIXEL);
+});
+
+// GET /t/c/:token - signed click redirect (the destination is inside the signed token, so this is not an open redirect)
+app.get("/t/c/:token", async (req, res) => {
+  const ctx = verifyToken(req.params.token);
+  if (!ctx || typeof ctx.u !== "string" || !/^https?:\/\//i.test(ctx.u)) {
+    return res.status(400).send("Invalid or expired link.");
+  }
+  const { u: url, ...rest } = ctx;
+  await recordTrackingEvent(rest, "clicked", req, { url: url.slice(0, 2000) });
+  return res.redirect(302, url);
+});
+
+// GET /u/:token - unsubscribe confirmation page (GET never unsubscribes, so link scanners can't opt people out)
+app.get("/u/:token", (req, res) => {
+  const payload = verifyToken(req.params.token);
+  if (!payload?.o || !payload?.e) return res.status(400).send("Invalid unsubscribe link.");
+
+  return res.send(
+    `<!doctype html><html><body style="font-family:sans-serif;max-width:480px;margin:48px auto">` +
+    `<p>Unsubscribe <strong>${payload.e.replace(/[<>&"]/g, "")}</strong> from future emails?</p>` +
+    `<form method="POST"><button type="submit">Unsubscribe</button></form></body></html>`
+  );
+});
+
+// POST /u/:token - RFC 8058 one-click unsubscribe (also used by the confirmation form)
+app.post("/u/:token", express.urlencoded({ extended: false }), async (req, res) => {
+  const payload = verifyToken(req.params.token);
+  if (!payload?.o || !payload?.e) return res.status(400).send("Invalid unsubscribe link.");
+
+  try {
+    await addSuppressions(supabase, payload.o, { emails: [payload.e], reason: "unsubscribed" });
+
+    // stop every active run for this address, not just the one the link came from
+    const { data: runs, error } = await supabase
+      .from("sequence_runs")
+      .select("id")
+      .eq("owner_id", payload.o)
+      .ilike("recipient_email", payload.e.replace(/[%_\\]/g, "\\$&"))
+      .in("status", ["active", "paused"]);
+    if (error) throw error;
+    for (const run of runs || []) {
+      await stopRun(supabase, run.id, "unsubscribed", { event: { status: "unsubscribed" } });
+    }
+
+    console.log("Unsubscribed", payload.e, "for owner", payload.o, { runs: (runs || []).length });
+    return res.send("<!doctype html><html><body style=\"font-family:sans-serif;max-width:480px;margin:48px auto\"><p>You have been unsubscribed.</p></body></html>");
+  } catch (err) {
+    console.error("unsubscribe error:", err?.message || err);
+    return res.status(500).send("Something went wrong. Please try again later.");
+  }
+});
+
 // ESM-safe local start
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
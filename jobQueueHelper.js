@@ -0,0 +1,263 @@
+// jobQueueHelper.js - the scheduled_emails queue: claims with leases, retries and the dead-letter queue
+//
+// scheduled_emails queue columns: status, attempts, last_error, lease_expires_at, dead_at,
+//   error_history (jsonb [{ at, attempt, error }], oldest first, capped at MAX_ERROR_HISTORY)
+// status: 'scheduled' (due at scheduled_for) -> 'processing' (claimed by a worker until lease_expires_at)
+//   -> 'sent' | 'scheduled' again (retry with backoff) | 'dead' | 'failed' (retrying can't help) | 'paused' | 'cancelled'
+//
+// A worker that times out or crashes mid-batch leaves its jobs 'processing'. Once the lease runs out the next
+// worker claims them again and the interrupted try counts as an attempt; if the crash came after the provider
+// accepted the message, the recipient gets it twice. Jobs that use up MAX_ATTEMPTS become 'dead' (the dead-letter
+// queue) and stay there until /api/job_admin requeues or discards them.
+import { fallbackStep } from "./branchHelper.js";
+import { runSteps } from "./versionHelper.js";
+import { runEventData, sendWindowRescheduler } from "./sequenceHelper.js";
+import { emitEvent } from "./webhookHelper.js";
+
+export const MAX_ATTEMPTS = 5;
+// longer than the worker can run, so a live worker never loses its jobs
+export const LEASE_MS = parseInt(process.env.JOB_LEASE_MS || String(10 * 60 * 1000), 10);
+const MAX_ERROR_HISTORY = 20;
+// a sent job whose run has nothing queued is only "stalled" after this long (the worker may still be on it)
+const REPAIR_GRACE_MS = 10 * 60 * 1000;
+// runs looked at per repair call, so one request stays small however many runs an owner has
+export const REPAIR_SCAN_LIMIT = 500;
+// statuses that mean a run still has something queued (or waiting on an admin decision)
+const LIVE_JOB_STATUSES = ["scheduled", "processing", "paused", "dead"];
+const DEFAULT_TIMEZONE = "Asia/Singapore";
+const PAGE_SIZE = 1000;
+const ID_CHUNK = 200;
+
+async function fetchAll(build) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+function withError(history, attempt, error) {
+  const entry = { at: new Date().toISOString(), attempt, error: String(error).slice(0, 1000) };
+  return [...(Array.isArray(history) ? history : []), entry].slice(-MAX_ERROR_HISTORY);
+}
+
+/**
+ * Claim up to batchSize jobs: due 'scheduled' ones and 'processing' ones whose lease ran out (claims made before
+ * leases existed have none and are taken back once they are a lease old). Each row is claimed with a
+ * status-guarded update, so two workers never get the same job. A reclaimed job that has no attempts left goes
+ * to the dead-letter queue instead. Returns { jobs, reclaimed, dead }.
+ */
+export async function claimJobs(supabase, { batchSize = 20, leaseMs = LEASE_MS } = {}) {
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const unleasedBefore = new Date(now.getTime() - leaseMs).toISOString();
+  const { data: due, error } = await supabase
+    .from("scheduled_emails")
+    .select("*")
+    .or(
+      `and(status.eq.scheduled,scheduled_for.lte.${nowIso}),` +
+      `and(status.eq.processing,lease_expires_at.lt.${nowIso}),` +
+      `and(status.eq.processing,lease_expires_at.is.null,updated_at.lt.${unleasedBefore})`
+    )
+    .order("scheduled_for", { ascending: true })
+    .limit(batchSize);
+  if (error) throw error;
+
+  const result = { jobs: [], reclaimed: 0, dead: 0 };
+  for (const row of due || []) {
+    const claimedAt = new Date().toISOString();
+    const update = {
+      status: "processing",
+      lease_expires_at: new Date(Date.now() + leaseMs).toISOString(),
+      updated_at: claimedAt
+    };
+    const reclaimed = row.status === "processing";
+    if (reclaimed) {
+      const attempt = row.attempts || 1;
+      update.attempts = attempt + 1;
+      update.last_error = "lease_expired";
+      update.error_history = withError(row.error_history, attempt, "lease_expired: the worker stopped before finishing this job");
+      if (attempt >= MAX_ATTEMPTS) {
+        Object.assign(update, { status: "dead", dead_at: claimedAt, lease_expires_at: null });
+      }
+    }
+
+    let query = supabase.from("scheduled_emails").update(update).eq("id", row.id).eq("status", row.status);
+    query = row.updated_at ? query.eq("updated_at", row.updated_at) : query.is("updated_at", null);
+    const { data: claimed, error: claimErr } = await query.select("*");
+    if (claimErr) throw claimErr;
+    if (!claimed?.length) continue;
+
+    if (reclaimed) result.reclaimed++;
+    if (update.status === "dead") {
+      result.dead++;
+      await emitEvent(supabase, row.owner_id, "email.failed", {
+        scheduled_email_id: row.id,
+        to_email: row.to_email,
+        mailbox_id: row.mailbox_id || null,
+        sequence_run_id: row.sequence_run_id || null,
+        step_id: row.step_id || null,
+        variant_id: row.variant_id || null,
+        error: "lease_expired"
+      });
+      continue;
+    }
+    result.jobs.push(claimed[0]);
+  }
+  return result;
+}
+
+/**
+ * Record a failed send attempt: retried with exponential backoff, or dead-lettered once MAX_ATTEMPTS is used up.
+ * Returns { dead }.
+ */
+export async function recordFailure(supabase, job, error) {
+  const message = String(error?.message || error).slice(0, 1000);
+  const attempts = job.attempts || 1;
+  const now = new Date().toISOString();
+  const update = {
+    last_error: message,
+    error_history: withError(job.error_history, attempts, message),
+    attempts: attempts + 1,
+    lease_expires_at: null,
+    updated_at: now
+  };
+  const dead = attempts >= MAX_ATTEMPTS;
+  if (dead) {
+    Object.assign(update, { status: "dead", dead_at: now });
+  } else {
+    const backoffMs = Math.pow(2, attempts) * 60 * 1000;
+    Object.assign(update, { status: "scheduled", scheduled_for: new Date(Date.now() + backoffMs).toISOString() });
+  }
+  const { error: updateErr } = await supabase.from("scheduled_emails").update(update).eq("id", job.id);
+  if (updateErr) throw updateErr;
+  return { dead };
+}
+
+/**
+ * Queue what follows `step` in a run once it has been sent (at `sentAt`): the branch decision for a branching
+ * step (it carries the fallback step's content until the worker picks the branch), otherwise the next step by
+ * step_order; with nothing left the run completes. `job` is the sent scheduled_emails row and
+ * `reschedule(date, job, run)` pushes the send time into the sequence's window.
+ * Returns { job } (the queued row) or { completed: true }.
+ */
+export async function queueNextStep(supabase, { run, job, step, steps, sentAt = new Date(), reschedule }) {
+  const branching = !!step.branches?.rules?.length;
+  const nextStep = fallbackStep(steps, branching ? step : { step_order: step.step_order });
+  const now = new Date().toISOString();
+
+  if (!nextStep && !branching) {
+    const { error } = await supabase.from("sequence_runs").update({ status: "completed", updated_at: now }).eq("id", run.id);
+    if (error) throw error;
+    await emitEvent(supabase, job.owner_id, "run.completed", runEventData(run, { reason: "last_step" }));
+    return { completed: true };
+  }
+
+  // delay_days (or the branch's after_days) counts from the send, but never lands in the past
+  const delayDays = Number(branching ? step.branches.after_days : nextStep.delay_days || 0);
+  const timezone = job.timezone || DEFAULT_TIMEZONE;
+  const due = new Date(Math.max(new Date(sentAt).getTime() + delayDays * 24 * 60 * 60 * 1000, Date.now()));
+  const scheduledFor = await reschedule(due, { ...job, timezone }, run);
+
+  const { data, error } = await supabase
+    .from("scheduled_emails")
+    .insert([{
+      owner_id: job.owner_id,
+      mailbox_id: job.mailbox_id || null, // runs stay on their sender mailbox
+      to_email: run.recipient_email || job.to_email,
+      subject: nextStep?.subject || null,
+      body_text: nextStep?.body_text || null,
+      body_html: nextStep?.body_html || null,
+      attachments: nextStep?.attachments || null,
+      scheduled_for: scheduledFor.toISOString(),
+      timezone,
+      status: "scheduled",
+      attempts: 0,
+      created_at: now,
+      updated_at: now,
+      sequence_run_id: run.id,
+      step_id: nextStep?.id || null,
+      branch_step_id: branching ? step.id : null
+    }])
+    .select()
+    .single();
+  if (error) throw error;
+  return { job: data };
+}
+
+/**
+ * Active runs that stalled: nothing queued, dead-lettered or held, and their latest job was sent more than
+ * REPAIR_GRACE_MS ago - the worker sent a step but failed to queue the next one (or to complete the run).
+ * `scope`: { owner_id, run_ids?, after?, limit? }. At most `limit` runs (by id, after the `after` cursor) are
+ * looked at per call. Returns { stalled: [{ run, job }] with the last sent job, next_after } where next_after is
+ * the cursor for the next page, or null once every run was looked at.
+ */
+export async function findStalledRuns(supabase, { owner_id, run_ids, after, limit = REPAIR_SCAN_LIMIT } = {}) {
+  let query = supabase
+    .from("sequence_runs")
+    .select("id, owner_id, sequence_id, version_id, recipient_email, mailbox_id, current_step")
+    .eq("owner_id", owner_id)
+    .eq("status", "active")
+    .order("id", { ascending: true })
+    .limit(limit);
+  if (run_ids?.length) query = query.in("id", run_ids);
+  if (after) query = query.gt("id", after);
+  const { data: runs, error } = await query;
+  if (error) throw error;
+
+  const graceBefore = Date.now() - REPAIR_GRACE_MS;
+  const stalled = [];
+  for (let i = 0; i < (runs || []).length; i += ID_CHUNK) {
+    const chunk = runs.slice(i, i + ID_CHUNK);
+    const jobs = await fetchAll(() => supabase
+      .from("scheduled_emails")
+      .select("id, owner_id, mailbox_id, to_email, timezone, sequence_run_id, step_id, status, updated_at")
+      .in("sequence_run_id", chunk.map(r => r.id))
+      .order("id", { ascending: true }));
+
+    for (const run of chunk) {
+      const own = jobs.filter(j => j.sequence_run_id === run.id);
+      if (!own.length || own.some(j => LIVE_JOB_STATUSES.includes(j.status))) continue;
+      const last = own.sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))[0];
+      if (last.status !== "sent" || !last.step_id || new Date(last.updated_at).getTime() > graceBefore) continue;
+      stalled.push({ run, job: last });
+    }
+  }
+  return { stalled, next_after: runs?.length === limit ? runs[runs.length - 1].id : null };
+}
+
+/**
+ * Repair stalled runs from findStalledRuns: catch current_step up with the last sent step, then queue the step
+ * after it (timed from that send) or complete the run. Returns one entry per run.
+ */
+export async function repairRuns(supabase, stalled) {
+  const reschedule = sendWindowRescheduler(supabase);
+  const stepCache = new Map();
+  const results = [];
+  for (const { run, job } of stalled) {
+    const steps = await runSteps(supabase, run, stepCache);
+    const step = steps.find(s => s.id === job.step_id);
+    if (!step) {
+      results.push({ run_id: run.id, repaired: false, reason: "sent step not found in the run's version" });
+      continue;
+    }
+    if (run.current_step !== step.step_order) {
+      const { error } = await supabase
+        .from("sequence_runs")
+        .update({ current_step: step.step_order, updated_at: new Date().toISOString() })
+        .eq("id", run.id);
+      if (error) throw error;
+    }
+    const next = await queueNextStep(supabase, { run, job, step, steps, sentAt: job.updated_at, reschedule });
+    results.push({
+      run_id: run.id,
+      repaired: true,
+      completed: !!next.completed,
+      scheduled_email_id: next.job?.id || null,
+      scheduled_for: next.job?.scheduled_for || null
+    });
+  }
+  return results;
+}
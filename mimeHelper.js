@@ -0,0 +1,228 @@
+// mimeHelper.js - RFC 5322 / MIME message builder shared by every send path
+import { randomBytes } from "crypto";
+
+const CRLF = "\r\n";
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024; // Gmail rejects messages over 25MB once base64-encoded
+
+function isAscii(str) {
+  return /^[\x20-\x7e]*$/.test(str);
+}
+
+function newBoundary(kind) {
+  return `----=_kaptiv_${kind}_${randomBytes(12).toString("hex")}`;
+}
+
+function wrapBase64(buf) {
+  return buf.toString("base64").replace(/.{76}(?=.)/g, "$&" + CRLF);
+}
+
+/**
+ * RFC 2047 encode a header value if it contains non-ASCII characters.
+ * Long values are split into several encoded-words (each <= 75 chars) on character boundaries.
+ */
+export function encodeHeaderValue(value) {
+  const str = String(value ?? "").replace(/[\r\n]+/g, " ");
+  if (isAscii(str)) return str;
+
+  const words = [];
+  let chunk = "";
+  for (const ch of str) {
+    if (Buffer.byteLength(chunk + ch, "utf8") > 45) {
+      words.push(chunk);
+      chunk = "";
+    }
+    chunk += ch;
+  }
+  if (chunk) words.push(chunk);
+  return words.map(w => `=?UTF-8?B?${Buffer.from(w, "utf8").toString("base64")}?=`).join(CRLF + " ");
+}
+
+/**
+ * Encode the display-name part of an address ("Zoë <zoe@example.com>"); bare addresses pass through.
+ */
+export function encodeAddress(address) {
+  const str = String(address ?? "").trim();
+  const match = str.match(/^(.*?)\s*<([^>]+)>$/);
+  if (!match || !match[1]) return str;
+  const name = match[1].replace(/^"|"$/g, "");
+  return `${isAscii(name) ? `"${name.replace(/"/g, "")}"` : encodeHeaderValue(name)} <${match[2]}>`;
+}
+
+function decodeEntities(str) {
+  return str
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&#(\d+);/g, (_m, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_m, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/gi, "&");
+}
+
+/**
+ * Plain-text rendition of an HTML body, used for the text/plain alternative.
+ */
+export function htmlToText(html) {
+  if (!html) return "";
+  return decodeEntities(
+    String(html)
+      .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, "")
+      .replace(/<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (_m, href, label) => {
+        const text = label.replace(/<[^>]+>/g, "").trim();
+        return !text || text === href ? href : `${text} (${href})`;
+      })
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<li[^>]*>/gi, "\n- ")
+      .replace(/<\/(p|div|h[1-6]|tr|ul|ol|table|blockquote)>/gi, "\n\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Validate an attachments payload: [{ filename, content (base64), content_type?, cid? }].
+ * Entries with a cid are inline images referenced from the HTML as <img src="cid:...">.
+ * Saved steps and scheduled jobs keep the content in Storage (attachmentHelper.js), not on the row.
+ * Returns { attachments, error }.
+ */
+export function normalizeAttachments(list) {
+  if (list === undefined || list === null) return { attachments: [], error: null };
+  if (!Array.isArray(list)) return { attachments: [], error: "attachments must be an array" };
+
+  const attachments = [];
+  let totalBytes = 0;
+  for (let i = 0; i < list.length; i++) {
+    const a = list[i] || {};
+    const filename = typeof a.filename === "string" ? a.filename.trim() : "";
+    const content = typeof a.content === "string" ? a.content.replace(/\s+/g, "") : "";
+    if (!filename) return { attachments: [], error: `attachment ${i + 1} missing filename` };
+    if (!content || !/^[A-Za-z0-9+/]+={0,2}$/.test(content)) {
+      return { attachments: [], error: `attachment ${i + 1} content must be base64` };
+    }
+    totalBytes += Buffer.byteLength(content, "base64");
+    attachments.push({
+      filename,
+      content,
+      content_type: typeof a.content_type === "string" && a.content_type.includes("/") ? a.content_type : "application/octet-stream",
+      cid: typeof a.cid === "string" && a.cid.trim() ? a.cid.trim().replace(/^<|>$/g, "") : null
+    });
+  }
+  if (totalBytes > MAX_ATTACHMENT_BYTES) return { attachments: [], error: "attachments exceed 20MB" };
+  return { attachments, error: null };
+}
+
+function textPart(contentType, text) {
+  return {
+    headers: [`Content-Type: ${contentType}; charset="UTF-8"`, "Content-Transfer-Encoding: base64"],
+    body: wrapBase64(Buffer.from(String(text).replace(/\r?\n/g, CRLF), "utf8"))
+  };
+}
+
+// RFC 2231 parameter for a file name: plain ASCII names are quoted; others get an ASCII fallback (older clients)
+// plus the UTF-8 percent-encoded form, split into numbered continuations for long names
+function fileParam(param, filename) {
+  const fallback = String(filename).replace(/[^\x20-\x7e]/g, "_").replace(/["\\]/g, "");
+  if (isAscii(filename)) return [`${param}="${fallback}"`];
+
+  const encoded = [...Buffer.from(filename, "utf8")]
+    .map(byte => (/[A-Za-z0-9!#$&+\-.^_`|~]/.test(String.fromCharCode(byte))
+      ? String.fromCharCode(byte)
+      : `%${byte.toString(16).toUpperCase().padStart(2, "0")}`))
+    .join("");
+  const sections = encoded.match(/(?:%[0-9A-F]{2}|[^%]){1,60}/g);
+  if (sections.length === 1) return [`${param}="${fallback}"`, `${param}*=UTF-8''${encoded}`];
+  return [
+    `${param}="${fallback}"`,
+    ...sections.map((section, i) => `${param}*${i}*=${i === 0 ? "UTF-8''" : ""}${section}`)
+  ];
+}
+
+function attachmentPart(a) {
+  const params = list => list.map(p => `;${CRLF} ${p}`).join("");
+  const headers = [
+    `Content-Type: ${a.content_type}${params(fileParam("name", a.filename))}`,
+    "Content-Transfer-Encoding: base64"
+  ];
+  if (a.cid) {
+    headers.push(`Content-ID: <${a.cid}>`, `Content-Disposition: inline${params(fileParam("filename", a.filename))}`);
+  } else {
+    headers.push(`Content-Disposition: attachment${params(fileParam("filename", a.filename))}`);
+  }
+  return { headers, body: wrapBase64(Buffer.from(a.content, "base64")) };
+}
+
+function multipart(subtype, parts) {
+  return parts.length === 1 ? parts[0] : { subtype, boundary: newBoundary(subtype), parts };
+}
+
+function renderPart(part) {
+  if (!part.parts) return part.headers.join(CRLF) + CRLF + CRLF + part.body;
+  const lines = [`Content-Type: multipart/${part.subtype}; boundary="${part.boundary}"`, ""];
+  for (const child of part.parts) {
+    lines.push(`--${part.boundary}`, renderPart(child));
+  }
+  lines.push(`--${part.boundary}--`, "");
+  return lines.join(CRLF);
+}
+
+/**
+ * Build a full RFC 5322 message with CRLF line endings.
+ * Structure (parts collapse when unused):
+ *   multipart/mixed -> multipart/related -> multipart/alternative (text, html) + inline images, then attachments
+ * When only html is given the text/plain part is generated from it; callers that rewrite links in the html
+ * (tracking) pass text generated from the original instead.
+ */
+export function buildMimeMessage({ from, to, subject, text, html, attachments = [], headers = {} }) {
+  const inline = html ? attachments.filter(a => a.cid) : [];
+  const files = attachments.filter(a => !inline.includes(a));
+
+  const bodyParts = [textPart("text/plain", text || (html ? htmlToText(html) : ""))];
+  if (html) bodyParts.push(textPart("text/html", html));
+
+  let root = multipart("alternative", bodyParts);
+  if (inline.length) root = multipart("related", [root, ...inline.map(attachmentPart)]);
+  if (files.length) root = multipart("mixed", [root, ...files.map(attachmentPart)]);
+
+  const headerLines = [];
+  if (from) headerLines.push(`From: ${encodeAddress(from)}`);
+  headerLines.push(`To: ${encodeAddress(to)}`);
+  headerLines.push(`Subject: ${encodeHeaderValue(subject)}`);
+  for (const [name, value] of Object.entries(headers)) {
+    if (value !== undefined && value !== null && value !== "") headerLines.push(`${name}: ${encodeHeaderValue(value)}`);
+  }
+  headerLines.push("MIME-Version: 1.0");
+
+  return headerLines.join(CRLF) + CRLF + renderPart(root);
+}
+
+/**
+ * New RFC 5322 Message-ID ("<id@domain>") using the sender's domain, so follow-ups can reference it
+ * via In-Reply-To/References without reading the sent message back.
+ */
+export function generateMessageId(fromEmail) {
+  const domain = String(fromEmail || "").match(/@([^\s>]+)/)?.[1] || "kaptiv.io";
+  return `<${randomBytes(16).toString("hex")}@${domain}>`;
+}
+
+/**
+ * Subject for a reply in an existing thread ("Re: <original>"), without stacking prefixes.
+ */
+export function replySubject(subject) {
+  const base = String(subject || "").trim();
+  return /^re:/i.test(base) ? base : `Re: ${base}`;
+}
+
+/**
+ * base64url encoding expected by the Gmail API `raw` field.
+ */
+export function toBase64Url(message) {
+  return Buffer.from(message)
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
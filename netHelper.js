@@ -0,0 +1,60 @@
+// netHelper.js - keeps connections to customer-supplied hosts (SMTP relays, webhook URLs) off internal networks
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges are refused. Hosts are
+// checked when they are registered and again when they are connected to, since DNS can change in between.
+import { BlockList, isIP } from "net";
+import dns from "dns";
+
+const blocked = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24],
+  ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) blocked.addSubnet(network, prefix, "ipv4");
+// BlockList checks IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges too
+for (const [network, prefix] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["100::", 64], ["2001:db8::", 32],
+  ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+]) blocked.addSubnet(network, prefix, "ipv6");
+
+const BLOCKED_ERROR = "host resolves to a private or reserved address";
+
+export function isPublicAddress(address) {
+  const family = isIP(address);
+  if (!family) return false;
+  return !blocked.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Resolve a hostname (or IP literal) and make sure every address it has is public.
+ * Returns { address, error }: the first address to connect to, or a message that is safe to show the caller.
+ */
+export async function resolvePublicHost(host) {
+  const name = String(host || "").replace(/^\[|\]$/g, "");
+  if (!name) return { address: null, error: "host required" };
+  if (isIP(name)) return isPublicAddress(name) ? { address: name, error: null } : { address: null, error: BLOCKED_ERROR };
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(name, { all: true, verbatim: true });
+  } catch (e) {
+    return { address: null, error: "host does not resolve" };
+  }
+  if (!addresses.length) return { address: null, error: "host does not resolve" };
+  if (!addresses.every(a => isPublicAddress(a.address))) return { address: null, error: BLOCKED_ERROR };
+  return { address: addresses[0].address, error: null };
+}
+
+/**
+ * dns.lookup with the same check, for http(s) clients (`lookup` option): the address that is connected to is the
+ * one that was checked, so a record that changes between check and connect can't slip through.
+ */
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || !addresses.every(a => isPublicAddress(a.address))) {
+      return callback(Object.assign(new Error(BLOCKED_ERROR), { code: "EBLOCKEDHOST" }));
+    }
+    if (options?.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
@@ -0,0 +1,116 @@
+// providerHelper.js - one interface over the services a mailbox can send through (credentials.provider)
+//
+// Each provider implements:
+//   send(cred, mime, { from, to, threadId })        -> { messageId, threadId, refreshToken? }
+//   hasReplied(cred, { threadId, rfcMessageId, email, sinceMs }) -> { replied, refreshToken? }
+//   revoke(cred)                                    -> true if the stored secret no longer works
+// and flags what it can see of the mailbox: replyCheck (hasReplied works, so sequences stop on a reply) and
+// inboxSync (/api/sync_inbox picks up replies and bounces). Sequences only start on mailboxes with replyCheck.
+// OAuth providers also have authUrl({ state, codeChallenge }) and exchangeCode(code, codeVerifier).
+// `refreshToken` is returned when the provider rotated the stored token (Microsoft does).
+import { buildMimeMessage, generateMessageId } from "./mimeHelper.js";
+import { exchangeGmailCode, gmailAuthUrl, recipientHasReplied, revokeGmailToken, sendRawViaGmail } from "./gmailHelper.js";
+import { exchangeMicrosoftCode, graphRecipientHasReplied, microsoftAuthUrl, sendRawViaGraph } from "./graphHelper.js";
+import { sendRawViaSmtp } from "./smtpHelper.js";
+import { encryptRefreshToken, isInvalidGrant } from "./credentialHelper.js";
+
+const PROVIDERS = {
+  gmail: {
+    oauth: true,
+    replyCheck: true,
+    inboxSync: true, // /api/sync_inbox (replies + bounces) is Gmail-only
+    authUrl: gmailAuthUrl,
+    exchangeCode: exchangeGmailCode,
+    send: (cred, mime, { threadId }) => sendRawViaGmail(cred.refresh_token, mime, { threadId }),
+    hasReplied: async (cred, { threadId, email, sinceMs }) =>
+      ({ replied: await recipientHasReplied(cred.refresh_token, threadId, email, sinceMs) }),
+    revoke: cred => revokeGmailToken(cred.refresh_token)
+  },
+  microsoft: {
+    oauth: true,
+    replyCheck: true,
+    inboxSync: false,
+    authUrl: microsoftAuthUrl,
+    exchangeCode: exchangeMicrosoftCode,
+    send: (cred, mime) => sendRawViaGraph(cred.refresh_token, mime),
+    hasReplied: (cred, { rfcMessageId, email, sinceMs }) =>
+      graphRecipientHasReplied(cred.refresh_token, email, sinceMs, rfcMessageId),
+    // Graph can only revoke every session of the user, which is not ours to do; the token is just dropped
+    revoke: async () => false
+  },
+  smtp: {
+    oauth: false,
+    replyCheck: false, // a relay only sends; there is no inbox to look at
+    inboxSync: false,
+    send: (cred, mime, { from, to }) => sendRawViaSmtp(cred.smtp_settings, cred.refresh_token, mime, { from, to }),
+    hasReplied: async () => ({ replied: false }),
+    revoke: async () => false
+  }
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// credentials columns every sender needs (pass to getCredential, plus any throttle columns)
+export const SENDER_COLUMNS = "id, owner_id, email, refresh_token, status, provider, smtp_settings";
+
+/**
+ * Provider implementation for credentials.provider (null = 'gmail', for rows connected before providers existed).
+ */
+export function getProvider(name) {
+  const provider = PROVIDERS[name || "gmail"];
+  if (!provider) throw new Error(`Unknown mail provider "${name}"`);
+  return provider;
+}
+
+/**
+ * True when the mailbox's stored credential was rejected (OAuth invalid_grant, SMTP login failure).
+ */
+export function isCredentialError(err) {
+  return isInvalidGrant(err) || err?.code === "EAUTH";
+}
+
+async function storeRotatedToken(supabase, cred, refreshToken) {
+  if (!refreshToken || refreshToken === cred.refresh_token) return;
+  cred.refresh_token = refreshToken;
+  const { error } = await supabase.from("credentials").update(encryptRefreshToken(refreshToken)).eq("id", cred.id);
+  if (error) console.error("Failed to store rotated refresh token for mailbox", cred.id, error);
+}
+
+/**
+ * Build and send a message from a mailbox. Pass threadId (provider thread, Gmail only) and
+ * inReplyTo/references to send it as a reply. Returns { messageId, threadId, rfcMessageId };
+ * messageId/threadId are the provider's ids and null where the provider has none.
+ */
+export async function sendMessage(supabase, cred, { to, subject, text, html, attachments, headers, threadId, inReplyTo, references }) {
+  const provider = getProvider(cred.provider);
+  const rfcMessageId = generateMessageId(cred.email);
+  const mime = buildMimeMessage({
+    from: cred.email,
+    to,
+    subject,
+    text,
+    html,
+    attachments: attachments || [],
+    headers: {
+      Date: new Date().toUTCString(),
+      "Message-ID": rfcMessageId,
+      "In-Reply-To": inReplyTo,
+      References: references,
+      ...(headers || {})
+    }
+  });
+
+  const result = await provider.send(cred, mime, { from: cred.email, to, threadId });
+  await storeRotatedToken(supabase, cred, result.refreshToken);
+  return { messageId: result.messageId || null, threadId: result.threadId || null, rfcMessageId };
+}
+
+/**
+ * Whether `email` replied since sinceMs. threadId (Gmail) or rfcMessageId (the Message-ID of the last send, used
+ * by Microsoft) narrow it to the conversation.
+ */
+export async function hasReplied(supabase, cred, { threadId, rfcMessageId, email, sinceMs }) {
+  const result = await getProvider(cred.provider).hasReplied(cred, { threadId, rfcMessageId, email, sinceMs });
+  await storeRotatedToken(supabase, cred, result.refreshToken);
+  return !!result.replied;
+}
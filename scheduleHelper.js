@@ -0,0 +1,119 @@
+// scheduleHelper.js - send windows, weekend skipping and recipient-local timezones
+// A sequence's send_window looks like:
+//   { "days": [1, 2, 3, 4, 5], "start": "09:00", "end": "17:00", "holidays": ["2026-12-25"] }
+// days use JS numbering (0 = Sunday) or short names ("mon"); times and holidays are in the recipient's timezone.
+
+const SEND_JITTER_SECONDS = parseInt(process.env.SEND_JITTER_SECONDS || "300", 10);
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MAX_DAYS_AHEAD = 400;
+
+export function isValidTimezone(tz) {
+  if (typeof tz !== "string" || !tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    weekday: "short"
+  }).formatToParts(date);
+  const get = type => parts.find(p => p.type === type)?.value;
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    second: Number(get("second")),
+    weekday: DAY_NAMES.indexOf(get("weekday").toLowerCase().slice(0, 3))
+  };
+}
+
+function offsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Local wall-clock time in `timeZone` -> UTC Date (handles DST by re-checking the offset once)
+function zonedTimeToUtc(year, month, day, minutes, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+  const firstOffset = offsetMs(new Date(guess), timeZone);
+  const secondOffset = offsetMs(new Date(guess - firstOffset), timeZone);
+  return new Date(guess - secondOffset);
+}
+
+function parseClock(value) {
+  const match = typeof value === "string" && value.trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 && Number(match[2]) < 60 ? minutes : null;
+}
+
+/**
+ * Validate a send_window setting. Returns { window, error }; window is null when none is configured.
+ */
+export function parseSendWindow(raw) {
+  if (raw === undefined || raw === null) return { window: null, error: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { window: null, error: "send_window must be an object" };
+
+  const days = (raw.days ?? [1, 2, 3, 4, 5]).map(d => (typeof d === "string" ? DAY_NAMES.indexOf(d.trim().toLowerCase().slice(0, 3)) : d));
+  if (!days.length || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+    return { window: null, error: "send_window.days must list weekdays (0 = Sunday or 'mon'..'sun')" };
+  }
+  const start = parseClock(raw.start ?? "00:00");
+  const end = parseClock(raw.end ?? "24:00");
+  if (start === null || end === null || start >= end) {
+    return { window: null, error: "send_window.start/end must be HH:MM with start before end" };
+  }
+  const holidays = raw.holidays ?? [];
+  if (!Array.isArray(holidays) || holidays.some(h => typeof h !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(h))) {
+    return { window: null, error: "send_window.holidays must be YYYY-MM-DD dates" };
+  }
+  return { window: { days: new Set(days), start, end, holidays: new Set(holidays) }, error: null };
+}
+
+/**
+ * Earliest time at or after `date` that falls inside the send window in the recipient's timezone,
+ * plus a little random jitter (kept inside the window) so a batch doesn't fire in the same second.
+ * Without a window any time is allowed, so only the jitter is added.
+ */
+export function nextSendTime(date, { timezone, window, jitterSeconds = SEND_JITTER_SECONDS } = {}) {
+  const base = new Date(date);
+  if (!window) return new Date(base.getTime() + Math.floor(Math.random() * jitterSeconds * 1000));
+  const tz = isValidTimezone(timezone) ? timezone : "UTC";
+
+  let cursor = base;
+  for (let i = 0; i < MAX_DAYS_AHEAD; i++) {
+    const p = zonedParts(cursor, tz);
+    const dateKey = `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+    const minutes = p.hour * 60 + p.minute;
+
+    if (window.days.has(p.weekday) && !window.holidays.has(dateKey) && minutes < window.end) {
+      const slot = minutes < window.start ? zonedTimeToUtc(p.year, p.month, p.day, window.start, tz) : cursor;
+      const windowEnd = zonedTimeToUtc(p.year, p.month, p.day, window.end, tz);
+      const room = Math.max(0, windowEnd.getTime() - slot.getTime() - 1000);
+      const jitter = Math.min(Math.floor(Math.random() * jitterSeconds * 1000), room);
+      return new Date(slot.getTime() + jitter);
+    }
+
+    // jump to local midnight of the next day
+    const nextDay = new Date(Date.UTC(p.year, p.month - 1, p.day + 1));
+    cursor = zonedTimeToUtc(nextDay.getUTCFullYear(), nextDay.getUTCMonth() + 1, nextDay.getUTCDate(), 0, tz);
+  }
+
+  console.warn("nextSendTime: no allowed slot within", MAX_DAYS_AHEAD, "days; keeping original time");
+  return base;
+}
@@ -0,0 +1,188 @@
+// sequenceHelper.js - shared sequence_runs state changes
+import { nextSendTime, parseSendWindow } from "./scheduleHelper.js";
+import { WEBHOOK_EVENTS, emitEvent } from "./webhookHelper.js";
+
+/**
+ * End a run early (unsubscribed, replied, bounced, ...): set its status, cancel its pending, held or dead-lettered
+ * scheduled_emails, optionally record an email_events row and emit the matching run.* webhook.
+ */
+export async function stopRun(supabase, runId, status, { event, reason } = {}) {
+  const now = new Date().toISOString();
+
+  const { data: run, error: runErr } = await supabase
+    .from("sequence_runs")
+    .update({ status, updated_at: now })
+    .eq("id", runId)
+    .select("id, owner_id, sequence_id, recipient_email, mailbox_id")
+    .maybeSingle();
+  if (runErr) throw runErr;
+
+  const { error: jobsErr } = await supabase
+    .from("scheduled_emails")
+    .update({ status: "cancelled", last_error: reason || status, updated_at: now })
+    .eq("sequence_run_id", runId)
+    .in("status", ["scheduled", "paused", "dead"]);
+  if (jobsErr) throw jobsErr;
+
+  if (event) {
+    const { error: eventErr } = await supabase.from("email_events").insert([{
+      sequence_run_id: runId,
+      status: event.status || status,
+      created_at: now,
+      ...event
+    }]);
+    if (eventErr) throw eventErr;
+  }
+
+  // replies stop runs as 'stopped'; the webhook names what happened
+  const webhookEvent = `run.${reason === "replied" ? "replied" : status}`;
+  if (run && WEBHOOK_EVENTS.includes(webhookEvent)) {
+    await emitEvent(supabase, run.owner_id, webhookEvent, runEventData(run, { reason: reason || status }));
+  }
+}
+
+/**
+ * The `data` of run.* webhooks.
+ */
+export function runEventData(run, extra = {}) {
+  return {
+    run_id: run.id,
+    sequence_id: run.sequence_id || null,
+    recipient_email: run.recipient_email || null,
+    mailbox_id: run.mailbox_id || null,
+    ...extra
+  };
+}
+
+const ID_CHUNK = 200;
+
+function chunks(list, size = ID_CHUNK) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+/**
+ * Runs in a scope: { owner_id } plus optionally run_id, sequence_id or mailbox_id (null = runs without a
+ * pinned mailbox), restricted to the given statuses.
+ */
+async function findRuns(supabase, { owner_id, run_id, sequence_id, mailbox_id }, statuses, columns = "id") {
+  let query = supabase.from("sequence_runs").select(columns).eq("owner_id", owner_id).in("status", statuses);
+  if (run_id) query = query.eq("id", run_id);
+  if (sequence_id) query = query.eq("sequence_id", sequence_id);
+  if (mailbox_id !== undefined) query = mailbox_id ? query.eq("mailbox_id", mailbox_id) : query.is("mailbox_id", null);
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Pause active runs and hold their pending scheduled_emails (status 'paused').
+ * `reason` is kept on the run so e.g. credential problems can later resume only what they paused.
+ */
+export async function pauseRuns(supabase, scope, { reason = "manual" } = {}) {
+  const runs = await findRuns(supabase, scope, ["active"]);
+  const now = new Date().toISOString();
+
+  for (const ids of chunks(runs.map(r => r.id))) {
+    const { error: runErr } = await supabase
+      .from("sequence_runs")
+      .update({ status: "paused", paused_at: now, pause_reason: reason, updated_at: now })
+      .in("id", ids)
+      .eq("status", "active");
+    if (runErr) throw runErr;
+
+    const { error: jobsErr } = await supabase
+      .from("scheduled_emails")
+      .update({ status: "paused", updated_at: now })
+      .in("sequence_run_id", ids)
+      .eq("status", "scheduled");
+    if (jobsErr) throw jobsErr;
+  }
+  return { runs: runs.length };
+}
+
+/**
+ * Resume paused runs. Held jobs keep the delay they had left when the run was paused,
+ * counted from now, and `reschedule(date, job)` may push them further (e.g. into a send window).
+ * Pass `reason` (a string or a list) to only resume runs paused for that reason.
+ */
+export async function resumeRuns(supabase, scope, { reason, reschedule } = {}) {
+  let runs = await findRuns(supabase, scope, ["paused"], "id, paused_at, pause_reason, sequence_id");
+  if (reason) runs = runs.filter(r => [].concat(reason).includes(r.pause_reason));
+  const now = Date.now();
+  let jobsResumed = 0;
+
+  for (const run of runs) {
+    // activate the run first so the worker never sees a released job on a paused run
+    const { error: runErr } = await supabase
+      .from("sequence_runs")
+      .update({ status: "active", paused_at: null, pause_reason: null, updated_at: new Date(now).toISOString() })
+      .eq("id", run.id)
+      .eq("status", "paused");
+    if (runErr) throw runErr;
+
+    const { data: jobs, error: jobsErr } = await supabase
+      .from("scheduled_emails")
+      .select("id, scheduled_for, timezone")
+      .eq("sequence_run_id", run.id)
+      .eq("status", "paused");
+    if (jobsErr) throw jobsErr;
+
+    const pausedAt = run.paused_at ? new Date(run.paused_at).getTime() : now;
+    for (const job of jobs || []) {
+      const remaining = Math.max(0, new Date(job.scheduled_for).getTime() - pausedAt);
+      let when = new Date(now + remaining);
+      if (reschedule) when = await reschedule(when, job, run);
+
+      const { error } = await supabase
+        .from("scheduled_emails")
+        .update({ status: "scheduled", scheduled_for: when.toISOString(), updated_at: new Date(now).toISOString() })
+        .eq("id", job.id)
+        .eq("status", "paused");
+      if (error) throw error;
+      jobsResumed++;
+    }
+  }
+  return { runs: runs.length, jobs: jobsResumed };
+}
+
+/**
+ * A `reschedule` callback for resumeRuns that pushes resumed jobs into their sequence's send window,
+ * like freshly scheduled steps.
+ */
+export function sendWindowRescheduler(supabase) {
+  const windows = new Map();
+  return async (when, job, run) => {
+    if (!windows.has(run.sequence_id)) {
+      const { data, error } = await supabase.from("sequences").select("send_window").eq("id", run.sequence_id).maybeSingle();
+      if (error) throw error;
+      windows.set(run.sequence_id, parseSendWindow(data?.send_window).window);
+    }
+    return nextSendTime(when, { timezone: job.timezone, window: windows.get(run.sequence_id) });
+  };
+}
+
+/**
+ * Cancel active or paused runs and their pending, held or dead-lettered scheduled_emails.
+ */
+export async function cancelRuns(supabase, scope) {
+  const runs = await findRuns(supabase, scope, ["active", "paused"]);
+  const now = new Date().toISOString();
+
+  for (const ids of chunks(runs.map(r => r.id))) {
+    const { error: runErr } = await supabase
+      .from("sequence_runs")
+      .update({ status: "cancelled", updated_at: now })
+      .in("id", ids);
+    if (runErr) throw runErr;
+
+    const { error: jobsErr } = await supabase
+      .from("scheduled_emails")
+      .update({ status: "cancelled", last_error: "cancelled", updated_at: now })
+      .in("sequence_run_id", ids)
+      .in("status", ["scheduled", "paused", "dead"]);
+    if (jobsErr) throw jobsErr;
+  }
+  return { runs: runs.length };
+}
@@ -0,0 +1,95 @@
+// smtpHelper.js - sending through a customer's own SMTP relay
+// credentials.smtp_settings = { host, port, secure, username }; the password is stored (encrypted) in refresh_token
+import nodemailer from "nodemailer";
+import { isIP } from "net";
+import { resolvePublicHost } from "./netHelper.js";
+
+// submission / relay ports only, so a relay can't be pointed at arbitrary services
+export const SMTP_PORTS = [25, 465, 587, 2525];
+// explicit opt-in past both checks, for a local SMTP sink or a relay on a private network (comma-separated):
+// SMTP_ALLOWED_HOSTS=127.0.0.1,localhost SMTP_ALLOWED_PORTS=1025
+const ALLOWED_HOSTS = envList("SMTP_ALLOWED_HOSTS").map(h => h.toLowerCase());
+const ALLOWED_PORTS = envList("SMTP_ALLOWED_PORTS").map(Number).filter(Number.isInteger);
+
+function envList(name) {
+  return String(process.env[name] || "").split(",").map(v => v.trim()).filter(Boolean);
+}
+
+function portAllowed(port) {
+  return SMTP_PORTS.includes(port) || ALLOWED_PORTS.includes(port);
+}
+
+/**
+ * Where to connect for a relay host: allow-listed hosts as given, anything else only if every address it resolves
+ * to is public (netHelper.js). Returns { address, error }.
+ */
+export async function resolveSmtpHost(host) {
+  const name = String(host || "").trim();
+  if (ALLOWED_HOSTS.includes(name.toLowerCase())) return { address: name, error: null };
+  return resolvePublicHost(name);
+}
+
+/**
+ * Validate SMTP settings from a request. Returns { settings, error }.
+ * secure defaults to true on port 465 (implicit TLS) and STARTTLS otherwise.
+ */
+export function parseSmtpSettings(raw) {
+  if (!raw || typeof raw !== "object") return { settings: null, error: "smtp settings required" };
+  const host = typeof raw.host === "string" ? raw.host.trim() : "";
+  if (!host) return { settings: null, error: "host required" };
+
+  const port = raw.port == null ? 587 : Number(raw.port);
+  if (!portAllowed(port)) {
+    return { settings: null, error: `port must be one of ${[...SMTP_PORTS, ...ALLOWED_PORTS].join(", ")}` };
+  }
+  if (raw.secure != null && typeof raw.secure !== "boolean") return { settings: null, error: "secure must be a boolean" };
+  const username = typeof raw.username === "string" ? raw.username.trim() : "";
+  if (!username) return { settings: null, error: "username required" };
+
+  return {
+    settings: { host, port, secure: raw.secure ?? port === 465, username },
+    error: null
+  };
+}
+
+// the host is resolved and checked here, on every connect, and the transport dials the checked address;
+// servername keeps TLS verifying the certificate against the relay's name
+async function createTransport(settings, password) {
+  const { address, error } = await resolveSmtpHost(settings.host);
+  if (error) throw new Error(`SMTP ${error}`);
+  if (!portAllowed(Number(settings.port))) throw new Error("SMTP port not allowed");
+  return nodemailer.createTransport({
+    host: address,
+    ...(isIP(settings.host) ? {} : { servername: settings.host }),
+    port: settings.port,
+    secure: !!settings.secure,
+    auth: { user: settings.username, pass: password }
+  });
+}
+
+/**
+ * Connect and authenticate without sending anything (used when a relay is added).
+ */
+export async function verifySmtp(settings, password) {
+  const transport = await createTransport(settings, password);
+  try {
+    await transport.verify();
+  } finally {
+    transport.close();
+  }
+}
+
+/**
+ * Send a complete RFC 5322 message as-is. Returns { messageId, threadId } - SMTP has neither, so both are null
+ * (the caller keeps the Message-ID it put in the message).
+ */
+export async function sendRawViaSmtp(settings, password, mime, { from, to }) {
+  if (!settings?.host) throw new Error("SMTP settings missing for mailbox");
+  const transport = await createTransport(settings, password);
+  try {
+    await transport.sendMail({ envelope: { from, to }, raw: mime });
+  } finally {
+    transport.close();
+  }
+  return { messageId: null, threadId: null };
+}
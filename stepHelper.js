@@ -0,0 +1,88 @@
+// stepHelper.js - step_order rules for every endpoint that edits a sequence's draft steps
+//
+// step_order is kept contiguous: 1..n with no gaps or repeats. A step written at a position that is taken goes
+// there and the steps from that position on move down one; a position past the end appends. Every change of
+// order is written as a single upsert of the affected rows, so it lands whole or not at all (a unique index on
+// (sequence_id, step_order), if one is added, must be DEFERRABLE and partial - WHERE deleted_at IS NULL).
+// Deleting a step only sets its deleted_at: versions, queued jobs and email_events keep pointing at the row, and
+// reports still list it. Deleted steps are no longer part of the draft.
+// Branch targets must stay later than their branching step: an order that breaks one is refused, not repaired.
+// Callers run versionHelper.pinDraftRuns first, so runs still following the draft keep the steps they started on.
+
+/**
+ * A sequence's draft steps (full rows, deleted ones left out), ordered by step_order.
+ */
+export async function loadDraft(supabase, sequenceId) {
+  const { data, error } = await supabase
+    .from("sequence_steps")
+    .select("*")
+    .eq("sequence_id", sequenceId)
+    .is("deleted_at", null)
+    .order("step_order", { ascending: true })
+    .order("created_at", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Put `placed` ([{ step, position }], 1-based positions, unique) among `steps` (ordered, not containing them).
+ * Each placed step lands at its position, clamped to the end; the others keep their relative order.
+ * Returns the steps with step_order renumbered 1..n.
+ */
+export function placeSteps(steps, placed) {
+  const ordered = [...steps];
+  for (const { step, position } of [...placed].sort((a, b) => a.position - b.position)) {
+    ordered.splice(Math.min(Math.max(position, 1) - 1, ordered.length), 0, step);
+  }
+  return ordered.map((step, i) => ({ ...step, step_order: i + 1 }));
+}
+
+/**
+ * Ids a step's branches point at (goto_step_id / else_step_id; null targets end the run and are skipped).
+ */
+export function branchTargetIds(step) {
+  const branches = step?.branches;
+  if (!branches) return [];
+  const ids = (branches.rules || []).map(rule => rule.goto_step_id);
+  if (branches.else_step_id !== undefined) ids.push(branches.else_step_id);
+  return ids.filter(Boolean);
+}
+
+/**
+ * The first branch that an ordering breaks (a target missing or not later than its step), as an error
+ * message, or null when every branch still holds.
+ */
+export function branchOrderError(steps) {
+  const orderById = new Map(steps.map(s => [s.id, s.step_order]));
+  for (const step of steps) {
+    for (const targetId of branchTargetIds(step)) {
+      if (!orderById.has(targetId)) return `step ${step.step_order} branches to a step that no longer exists`;
+      if (!(orderById.get(targetId) > step.step_order)) {
+        return `step ${step.step_order} branches to step ${orderById.get(targetId)}, which would no longer come after it`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Write an ordering from placeSteps in one statement. Steps that are not in `previous` (the draft it was planned
+ * from) are inserted; steps of `previous` are written only if their step_order moved or their id is in `changed`.
+ * Returns the written rows.
+ */
+export async function writeDraft(supabase, steps, { previous = [], changed = new Set() } = {}) {
+  const before = new Map(previous.map(s => [s.id, s.step_order]));
+  const now = new Date().toISOString();
+  const rows = steps
+    .filter(s => !s.id || changed.has(s.id) || before.get(s.id) !== s.step_order)
+    .map(s => ({ ...s, updated_at: now }));
+  if (!rows.length) return [];
+
+  const { data, error } = await supabase
+    .from("sequence_steps")
+    .upsert(rows, { onConflict: "id", defaultToNull: false })
+    .select();
+  if (error) throw error;
+  return data || [];
+}
+
@@ -0,0 +1,91 @@
+// suppressionHelper.js - per-owner suppression list (unsubscribes, bounces, manual blocks)
+// Table: suppressions (owner_id, kind 'email' | 'domain', value, reason, created_at), unique on (owner_id, kind, value)
+import { canSignTokens, publicUrl, signToken } from "./tokenHelper.js";
+
+const LOOKUP_CHUNK = 200;
+
+export function normalizeEmail(email) {
+  return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
+
+export function emailDomain(email) {
+  const normalized = normalizeEmail(email);
+  const at = normalized.lastIndexOf("@");
+  return at === -1 ? "" : normalized.slice(at + 1);
+}
+
+export function normalizeDomain(domain) {
+  return typeof domain === "string" ? domain.trim().toLowerCase().replace(/^@/, "") : "";
+}
+
+/**
+ * Which of `emails` are suppressed for this owner, either directly or through their domain.
+ * Returns a Set of normalized (lowercased) addresses.
+ */
+export async function findSuppressed(supabase, ownerId, emails) {
+  const addresses = [...new Set((emails || []).map(normalizeEmail).filter(Boolean))];
+  const suppressed = new Set();
+
+  for (let i = 0; i < addresses.length; i += LOOKUP_CHUNK) {
+    const chunk = addresses.slice(i, i + LOOKUP_CHUNK);
+    const values = [...new Set([...chunk, ...chunk.map(emailDomain)])];
+    const { data, error } = await supabase
+      .from("suppressions")
+      .select("kind, value")
+      .eq("owner_id", ownerId)
+      .in("value", values);
+    if (error) throw error;
+
+    const emailHits = new Set((data || []).filter(r => r.kind === "email").map(r => r.value));
+    const domainHits = new Set((data || []).filter(r => r.kind === "domain").map(r => r.value));
+    for (const address of chunk) {
+      if (emailHits.has(address) || domainHits.has(emailDomain(address))) suppressed.add(address);
+    }
+  }
+  return suppressed;
+}
+
+export async function isSuppressed(supabase, ownerId, email) {
+  const suppressed = await findSuppressed(supabase, ownerId, [email]);
+  return suppressed.has(normalizeEmail(email));
+}
+
+/**
+ * Add addresses and/or domains to an owner's suppression list. Existing entries are left as they are.
+ */
+export async function addSuppressions(supabase, ownerId, { emails = [], domains = [], reason = "manual" } = {}) {
+  const now = new Date().toISOString();
+  const rows = [
+    ...emails.map(normalizeEmail).filter(Boolean).map(value => ({ owner_id: ownerId, kind: "email", value, reason, created_at: now })),
+    ...domains.map(normalizeDomain).filter(Boolean).map(value => ({ owner_id: ownerId, kind: "domain", value, reason, created_at: now }))
+  ];
+  if (!rows.length) return [];
+
+  const { data, error } = await supabase
+    .from("suppressions")
+    .upsert(rows, { onConflict: "owner_id,kind,value", ignoreDuplicates: true })
+    .select();
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Signed one-click unsubscribe URL for a recipient, or null when link signing isn't configured.
+ */
+export function unsubscribeUrl(ownerId, email, sequenceRunId) {
+  if (!canSignTokens()) return null;
+  const payload = { o: ownerId, e: normalizeEmail(email) };
+  if (sequenceRunId) payload.r = sequenceRunId;
+  return publicUrl(`/u/${signToken(payload)}`);
+}
+
+/**
+ * RFC 2369 / RFC 8058 headers for one-click unsubscribe.
+ */
+export function listUnsubscribeHeaders(url) {
+  if (!url) return {};
+  return {
+    "List-Unsubscribe": `<${url}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click"
+  };
+}
@@ -0,0 +1,74 @@
+// templateHelper.js - merge fields ({{first_name}}, {{company|your team}}) for subjects and bodies
+
+// {{ name }} or {{ name|fallback }}; an empty fallback ({{name|}}) is allowed and renders as ""
+const MERGE_FIELD_RE = /\{\{\s*([a-zA-Z0-9_.-]+)\s*(?:\|([^}]*))?\}\}/g;
+
+function lookupField(fields, name) {
+  if (!fields) return undefined;
+  let value = fields[name];
+  if (value === undefined) value = fields[name.toLowerCase()];
+  if (value === undefined || value === null) return undefined;
+  const str = String(value);
+  return str.trim() === "" ? undefined : str;
+}
+
+/**
+ * List the merge fields used in a template: [{ name, fallback }] where fallback is null when absent.
+ */
+export function extractMergeFields(template) {
+  if (typeof template !== "string" || !template) return [];
+  const found = [];
+  for (const match of template.matchAll(MERGE_FIELD_RE)) {
+    found.push({ name: match[1], fallback: match[2] === undefined ? null : match[2] });
+  }
+  return found;
+}
+
+/**
+ * Names of fields used (without a fallback) in any of the templates that `fields` has no value for.
+ */
+export function findMissingFields(templates, fields) {
+  const missing = new Set();
+  for (const template of [].concat(templates || [])) {
+    for (const { name, fallback } of extractMergeFields(template)) {
+      if (fallback === null && lookupField(fields, name) === undefined) missing.add(name);
+    }
+  }
+  return [...missing];
+}
+
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Replace merge fields with recipient values, falling back to the inline default.
+ * Fields without a value or a fallback render as "" - callers should check findMissingFields first.
+ * Pass { html: true } for HTML bodies so recipient values are escaped.
+ */
+export function renderTemplate(template, fields, { html = false } = {}) {
+  if (typeof template !== "string" || !template) return template;
+  return template.replace(MERGE_FIELD_RE, (_m, name, fallback) => {
+    const value = lookupField(fields, name);
+    const out = value !== undefined ? value : (fallback === undefined ? "" : fallback.trim());
+    return html ? escapeHtml(out) : out;
+  });
+}
+
+/**
+ * Normalize a recipient entry into { email, fields }.
+ * Accepts a bare email string, { email, ...attributes } or { email, attributes: {...} }.
+ */
+export function normalizeRecipient(entry) {
+  if (typeof entry === "string") return { email: entry.trim(), fields: {} };
+  if (!entry || typeof entry !== "object") return { email: null, fields: {} };
+
+  const { email, attributes, fields: nestedFields, ...rest } = entry;
+  const fields = { ...rest, ...(attributes || {}), ...(nestedFields || {}) };
+  return { email: typeof email === "string" ? email.trim() : null, fields };
+}
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { cleanRecipients, csvToEntries, parseCsv } from "../importHelper.js";
+
+test("parseCsv reads quoted fields with commas, escaped quotes and line breaks", () => {
+  const { rows, error } = parseCsv('email,note\r\na@x.io,"says ""hi"", then\nleaves"\r\n');
+  assert.equal(error, null);
+  assert.deepEqual(rows, [["email", "note"], ["a@x.io", 'says "hi", then\nleaves']]);
+});
+
+test("parseCsv drops a BOM and blank lines and keeps a last line without a newline", () => {
+  const { rows } = parseCsv("\uFEFFemail\n\n  \nb@x.io");
+  assert.deepEqual(rows, [["email"], ["b@x.io"]]);
+});
+
+test("parseCsv keeps empty trailing fields", () => {
+  assert.deepEqual(parseCsv("a,,\n").rows, [["a", "", ""]]);
+});
+
+test("parseCsv refuses an unterminated quote and non-string input", () => {
+  assert.equal(parseCsv('email\n"a@x.io').error, "csv has an unterminated quoted field");
+  assert.equal(parseCsv(null).error, "csv must be a string");
+});
+
+test("csvToEntries finds the email column and normalizes header names", () => {
+  const { entries, error } = csvToEntries("First Name,E-mail Address\nAda,ada@x.io\n");
+  assert.equal(error, null);
+  assert.deepEqual(entries, [{ first_name: "Ada", email: "ada@x.io" }]);
+  assert.equal(csvToEntries("name\nAda").error, "csv needs an email column");
+  assert.equal(csvToEntries("").error, "csv is empty");
+});
+
+test("cleanRecipients lowercases, validates and dedupes addresses by row", () => {
+  const { accepted, rejected } = cleanRecipients([
+    " Ada@X.io ",
+    { email: "ada@x.io" },
+    { email: "" },
+    { email: "not-an-email" },
+    { email: "bob@x.io", "First Name": " Bob ", blank: "  ", none: null, attributes: { Company: "Acme" } }
+  ]);
+  assert.deepEqual(accepted, [
+    { row: 1, email: "ada@x.io", fields: {} },
+    { row: 5, email: "bob@x.io", fields: { first_name: "Bob", company: "Acme" } }
+  ]);
+  assert.deepEqual(rejected, [
+    { row: 2, email: "ada@x.io", reason: "duplicate", duplicate_of_row: 1 },
+    { row: 3, email: null, reason: "missing_email" },
+    { row: 4, email: "not-an-email", reason: "invalid_email" }
+  ]);
+});
@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { branchOrderError, placeSteps } from "../stepHelper.js";
+
+const draft = () => [
+  { id: "s1", step_order: 1 },
+  { id: "s2", step_order: 2 },
+  { id: "s3", step_order: 3 }
+];
+const order = steps => steps.map(s => `${s.id}:${s.step_order}`);
+
+test("placeSteps inserts at a taken position and moves the rest down", () => {
+  assert.deepEqual(order(placeSteps(draft(), [{ step: { id: "n" }, position: 2 }])), ["s1:1", "n:2", "s2:3", "s3:4"]);
+});
+
+test("placeSteps clamps positions past the end and below 1", () => {
+  assert.deepEqual(order(placeSteps(draft(), [{ step: { id: "n" }, position: 99 }])), ["s1:1", "s2:2", "s3:3", "n:4"]);
+  assert.deepEqual(order(placeSteps(draft(), [{ step: { id: "n" }, position: 0 }])), ["n:1", "s1:2", "s2:3", "s3:4"]);
+});
+
+test("placeSteps lands several steps at their positions whatever order they are given in", () => {
+  const placed = [{ step: { id: "b" }, position: 4 }, { step: { id: "a" }, position: 1 }];
+  assert.deepEqual(order(placeSteps(draft(), placed)), ["a:1", "s1:2", "s2:3", "b:4", "s3:5"]);
+});
+
+test("placeSteps renumbers a moved step's neighbours without touching the input", () => {
+  const steps = draft();
+  const moved = steps[2];
+  const others = steps.filter(s => s !== moved);
+  assert.deepEqual(order(placeSteps(others, [{ step: moved, position: 1 }])), ["s3:1", "s1:2", "s2:3"]);
+  assert.equal(moved.step_order, 3);
+});
+
+test("branchOrderError accepts branches to later steps and ending the run", () => {
+  const steps = [
+    { id: "s1", step_order: 1, branches: { rules: [{ goto_step_id: "s3" }], else_step_id: null } },
+    { id: "s2", step_order: 2, branches: null },
+    { id: "s3", step_order: 3 }
+  ];
+  assert.equal(branchOrderError(steps), null);
+});
+
+test("branchOrderError reports a target that no longer comes after its step", () => {
+  const steps = [
+    { id: "s1", step_order: 1 },
+    { id: "s2", step_order: 2, branches: { rules: [], else_step_id: "s1" } }
+  ];
+  assert.equal(branchOrderError(steps), "step 2 branches to step 1, which would no longer come after it");
+});
+
+test("branchOrderError reports a target that is missing", () => {
+  const steps = [{ id: "s1", step_order: 1, branches: { rules: [{ goto_step_id: "gone" }] } }];
+  assert.equal(branchOrderError(steps), "step 1 branches to a step that no longer exists");
+});
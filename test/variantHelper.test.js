@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { pickVariant, pickWinner } from "../variantHelper.js";
+
+const variants = { items: [{ id: "a", weight: 1 }, { id: "off", weight: 0 }, { id: "b", weight: 3 }] };
+
+test("pickVariant splits [0, 1) by weight and never picks a weight-0 variant", () => {
+  assert.equal(pickVariant(variants, 0).id, "a");
+  assert.equal(pickVariant(variants, 0.249).id, "a");
+  assert.equal(pickVariant(variants, 0.25).id, "b");
+  assert.equal(pickVariant(variants, 0.999999).id, "b");
+});
+
+test("pickVariant returns null without variants or weight", () => {
+  assert.equal(pickVariant(null, 0.5), null);
+  assert.equal(pickVariant({ items: [{ id: "a", weight: 0 }] }, 0.5), null);
+});
+
+const row = (id, sent, replied, extra = {}) => ({ id, weight: 50, sent, replied, opened: 0, clicked: 0, ...extra });
+
+test("pickWinner promotes a leader that beats every other variant at 95%", () => {
+  // 20% vs 10% reply rate over 200 sends each: z ≈ 2.8
+  assert.equal(pickWinner([row("a", 200, 40), row("b", 200, 20)], { min_sends: 100 }), "a");
+  assert.equal(pickWinner([row("a", 200, 20), row("b", 200, 40)], { min_sends: 100 }), "b");
+});
+
+test("pickWinner waits while the difference is not significant", () => {
+  // 13% vs 10%: z ≈ 0.94
+  assert.equal(pickWinner([row("a", 200, 26), row("b", 200, 20)], { min_sends: 100 }), null);
+  // no replies anywhere: nothing to compare
+  assert.equal(pickWinner([row("a", 200, 0), row("b", 200, 0)], { min_sends: 100 }), null);
+});
+
+test("pickWinner waits until every variant has min_sends", () => {
+  assert.equal(pickWinner([row("a", 200, 40), row("b", 99, 5)], { min_sends: 100 }), null);
+});
+
+test("pickWinner ignores weight-0 variants and compares on the chosen metric", () => {
+  const stats = [
+    row("a", 200, 0, { opened: 100 }),
+    row("b", 200, 0, { opened: 50 }),
+    row("off", 0, 0, { weight: 0 })
+  ];
+  assert.equal(pickWinner(stats, { metric: "open", min_sends: 100 }), "a");
+  assert.equal(pickWinner(stats, { metric: "reply", min_sends: 100 }), null);
+});
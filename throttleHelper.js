@@ -0,0 +1,118 @@
+// throttleHelper.js - per-mailbox daily caps, minimum spacing and warm-up ramp
+// credentials columns: daily_cap, min_interval_seconds, warmup_started_at, sent_today, sent_day (UTC YYYY-MM-DD), last_sent_at
+//
+// A send takes its slot of the daily cap before it goes out, with one conditional increment in Postgres, so
+// concurrent /send_email calls and worker batches can't push a mailbox past its cap:
+//   create function reserve_mailbox_send(p_credential_id uuid, p_day text, p_cap int, p_now timestamptz)
+//   returns int language sql as $$
+//     update credentials set
+//       sent_today = case when sent_day = p_day then sent_today + 1 else 1 end,
+//       sent_day = p_day, last_sent_at = p_now, last_used_at = p_now
+//     where id = p_credential_id and p_cap > 0 and (sent_day is distinct from p_day or sent_today < p_cap)
+//     returning sent_today $$;   -- null: the cap is reached
+//   create function release_mailbox_send(p_credential_id uuid, p_day text) returns void language sql as $$
+//     update credentials set sent_today = greatest(sent_today - 1, 0)
+//     where id = p_credential_id and sent_day = p_day $$;
+
+const DEFAULT_DAILY_CAP = parseInt(process.env.DEFAULT_DAILY_CAP || "400", 10);
+const DEFAULT_MIN_INTERVAL_SECONDS = parseInt(process.env.DEFAULT_MIN_INTERVAL_SECONDS || "0", 10);
+// Daily cap for each week since warmup_started_at; after the last week the mailbox's full cap applies
+const WARMUP_RAMP = [20, 40, 80, 150, 250];
+
+export const THROTTLE_COLUMNS = "daily_cap, min_interval_seconds, warmup_started_at, sent_today, sent_day, last_sent_at";
+
+function utcDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function warmupWeek(cred, now) {
+  if (!cred?.warmup_started_at) return null;
+  const started = new Date(cred.warmup_started_at).getTime();
+  if (Number.isNaN(started) || started > now.getTime()) return null;
+  const week = Math.floor((now.getTime() - started) / (7 * 24 * 60 * 60 * 1000));
+  return week < WARMUP_RAMP.length ? week : null;
+}
+
+export function dailyCap(cred, now = new Date()) {
+  const cap = Number.isInteger(cred?.daily_cap) && cred.daily_cap >= 0 ? cred.daily_cap : DEFAULT_DAILY_CAP;
+  const week = warmupWeek(cred, now);
+  return week === null ? cap : Math.min(cap, WARMUP_RAMP[week]);
+}
+
+function sentToday(cred, now) {
+  return cred?.sent_day === utcDay(now) ? (cred.sent_today || 0) : 0;
+}
+
+function nextDayDeferral(now) {
+  // spread deferred jobs over the first minutes of the next UTC day
+  const nextDay = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return new Date(nextDay + Math.floor(Math.random() * 10 * 60 * 1000));
+}
+
+/**
+ * Quota snapshot for /status.
+ */
+export function quotaStatus(cred, now = new Date()) {
+  const cap = dailyCap(cred, now);
+  const sent = sentToday(cred, now);
+  return {
+    daily_cap: cap,
+    sent_today: sent,
+    remaining: Math.max(0, cap - sent),
+    warming_up: warmupWeek(cred, now) !== null,
+    resets_at: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1)).toISOString()
+  };
+}
+
+/**
+ * Whether this mailbox may send right now, going by the counters in `cred` (reserveSend has the final say on
+ * the cap). When not, deferUntil is the earliest time it may.
+ */
+export function checkSendAllowed(cred, now = new Date()) {
+  if (sentToday(cred, now) >= dailyCap(cred, now)) {
+    return { allowed: false, reason: "daily_cap", deferUntil: nextDayDeferral(now) };
+  }
+
+  const interval = Number.isInteger(cred?.min_interval_seconds) ? cred.min_interval_seconds : DEFAULT_MIN_INTERVAL_SECONDS;
+  const last = cred?.last_sent_at ? new Date(cred.last_sent_at).getTime() : 0;
+  if (interval > 0 && last && now.getTime() - last < interval * 1000) {
+    return { allowed: false, reason: "min_interval", deferUntil: new Date(last + interval * 1000) };
+  }
+  return { allowed: true };
+}
+
+/**
+ * Take a slot of the mailbox's daily cap for a send about to go out (reserve_mailbox_send). Returns
+ * checkSendAllowed's shape; when allowed, `cred` is updated so later jobs in the same batch see the new counters.
+ * Give the slot back with releaseSend if the send then fails.
+ */
+export async function reserveSend(supabase, cred, now = new Date()) {
+  const { data: sent, error } = await supabase.rpc("reserve_mailbox_send", {
+    p_credential_id: cred.id,
+    p_day: utcDay(now),
+    p_cap: dailyCap(cred, now),
+    p_now: now.toISOString()
+  });
+  if (error) throw error;
+  if (sent == null) {
+    cred.sent_today = dailyCap(cred, now);
+    cred.sent_day = utcDay(now);
+    return { allowed: false, reason: "daily_cap", deferUntil: nextDayDeferral(now) };
+  }
+  cred.sent_today = sent;
+  cred.sent_day = utcDay(now);
+  cred.last_sent_at = now.toISOString();
+  return { allowed: true };
+}
+
+/**
+ * Give back a slot taken by reserveSend for a send that failed. Never throws.
+ */
+export async function releaseSend(supabase, cred, now = new Date()) {
+  const { error } = await supabase.rpc("release_mailbox_send", { p_credential_id: cred.id, p_day: utcDay(now) });
+  if (error) {
+    console.error("releaseSend: failed to give back a send for mailbox", cred.id, error);
+    return;
+  }
+  if (cred.sent_day === utcDay(now)) cred.sent_today = Math.max((cred.sent_today || 0) - 1, 0);
+}
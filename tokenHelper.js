@@ -0,0 +1,59 @@
+// tokenHelper.js - HMAC-signed, URL-safe tokens for public links embedded in emails
+import { createHmac, timingSafeEqual } from "crypto";
+
+const LINK_SIGNING_SECRET = process.env.LINK_SIGNING_SECRET;
+const REDIRECT_URI = process.env.REDIRECT_URI;
+
+// a malformed REDIRECT_URI only turns signed links off; it must not fail every module that imports this one
+function originOf(url) {
+  if (!url) return "";
+  try {
+    return new URL(url).origin;
+  } catch (e) {
+    console.warn("tokenHelper: REDIRECT_URI is not a valid URL; set PUBLIC_BASE_URL for signed links");
+    return "";
+  }
+}
+
+// Public origin of the Express app (index.js); defaults to the origin serving the OAuth callback
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || originOf(REDIRECT_URI)).replace(/\/+$/, "");
+
+function sign(data) {
+  return createHmac("sha256", LINK_SIGNING_SECRET).update(data).digest("base64url");
+}
+
+export function canSignTokens() {
+  return !!(LINK_SIGNING_SECRET && PUBLIC_BASE_URL);
+}
+
+/**
+ * Encode a small JSON payload as "<payload>.<signature>" (both base64url).
+ */
+export function signToken(payload) {
+  if (!LINK_SIGNING_SECRET) throw new Error("LINK_SIGNING_SECRET is not set");
+  const data = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Returns the payload of a token produced by signToken, or null if it is malformed or tampered with.
+ */
+export function verifyToken(token) {
+  if (!LINK_SIGNING_SECRET || typeof token !== "string") return null;
+  const [data, signature] = token.split(".");
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) return null;
+
+  try {
+    return JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+export function publicUrl(pathname) {
+  return `${PUBLIC_BASE_URL}${pathname}`;
+}
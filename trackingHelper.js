@@ -0,0 +1,57 @@
+// trackingHelper.js - open pixel + click redirect rewriting for HTML bodies
+import { canSignTokens, publicUrl, signToken } from "./tokenHelper.js";
+
+/**
+ * Build the tracking context embedded in every tracking link.
+ * Short keys keep URLs compact: r = sequence_run_id, s = step_id, j = scheduled_email_id, t = tracking_id,
+ * v = variant_id (A/B steps).
+ */
+export function trackingContext({ sequence_run_id, step_id, scheduled_email_id, tracking_id, variant_id }) {
+  const ctx = {};
+  if (sequence_run_id) ctx.r = sequence_run_id;
+  if (step_id) ctx.s = step_id;
+  if (scheduled_email_id) ctx.j = scheduled_email_id;
+  if (tracking_id) ctx.t = tracking_id;
+  if (variant_id) ctx.v = variant_id;
+  return ctx;
+}
+
+/**
+ * Inverse of trackingContext: the email_events columns a tracking token points at.
+ */
+export function eventColumns(ctx) {
+  return {
+    sequence_run_id: ctx.r || null,
+    step_id: ctx.s || null,
+    scheduled_email_id: ctx.j || null,
+    tracking_id: ctx.t || null,
+    variant_id: ctx.v || null
+  };
+}
+
+/**
+ * Rewrite http(s) links through the signed click redirect and/or append the open pixel.
+ * Returns the html unchanged when tracking is off or link signing is not configured.
+ */
+export function addTracking(html, ctx, { opens = false, clicks = false } = {}) {
+  if (!html || (!opens && !clicks)) return html;
+  if (!canSignTokens()) {
+    console.warn("Tracking requested but LINK_SIGNING_SECRET / PUBLIC_BASE_URL not configured; sending untracked");
+    return html;
+  }
+
+  let out = html;
+  if (clicks) {
+    out = out.replace(/(<a\s[^>]*?href\s*=\s*)(["'])(https?:\/\/[^"']+)\2/gi, (match, prefix, quote, url) => {
+      // unsubscribe links stay direct
+      if (url.startsWith(publicUrl("/u/"))) return match;
+      const token = signToken({ ...ctx, u: url.replace(/&amp;/g, "&") });
+      return `${prefix}${quote}${publicUrl(`/t/c/${token}`)}${quote}`;
+    });
+  }
+  if (opens) {
+    const pixel = `<img src="${publicUrl(`/t/o/${signToken(ctx)}.gif`)}" width="1" height="1" alt="" style="display:none" />`;
+    out = /<\/body>/i.test(out) ? out.replace(/<\/body>/i, `${pixel}</body>`) : out + pixel;
+  }
+  return out;
+}
@@ -0,0 +1,233 @@
+// variantHelper.js - A/B variants of a sequence step (sequence_steps.variants)
+//
+// sequence_steps.variants (jsonb; null = the step is sent as written):
+//   {
+//     items: [                                             // 2-10 variants
+//       { id: "a", weight: 50, subject: "...", body_text: "...", body_html: "..." },
+//       { id: "b", weight: 50, subject: "..." }            // content left out falls back to the step's own
+//     ],
+//     auto_promote: { metric: "reply" | "open" | "click", min_sends: 100 },   // optional
+//     winner: "a", promoted_at: "<iso>"                    // set by /api/promote_variants
+//   }
+// The worker picks a variant for each job by weight when it sends, and records it as
+// scheduled_emails.variant_id and email_events.variant_id (sent/opened/clicked). A retried job keeps its variant.
+// Replies are credited to the variant of the last email the run sent before the reply.
+
+export const VARIANT_METRICS = ["reply", "open", "click"];
+const MAX_VARIANTS = 10;
+const DEFAULT_MIN_SENDS = 100;
+const CONTENT_FIELDS = ["subject", "body_text", "body_html"];
+const PAGE_SIZE = 1000;
+const ID_CHUNK = 200;
+// z score the leader needs over every other variant before it is promoted (95%, two-sided)
+const PROMOTE_Z = 1.96;
+
+/**
+ * Validate a variants value from a request. Returns { variants, error }; variants is null when none are set.
+ * Rewriting a step's variants clears any promoted winner.
+ */
+export function parseVariants(raw) {
+  if (raw === undefined || raw === null || raw === "") return { variants: null, error: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { variants: null, error: "variants must be an object" };
+  if (!Array.isArray(raw.items) || raw.items.length < 2 || raw.items.length > MAX_VARIANTS) {
+    return { variants: null, error: `variants.items must be a list of 2 to ${MAX_VARIANTS} variants` };
+  }
+
+  const items = [];
+  for (const [i, item] of raw.items.entries()) {
+    if (!item || typeof item !== "object") return { variants: null, error: `variants.items[${i}] must be an object` };
+    const id = typeof item.id === "string" ? item.id.trim() : "";
+    if (!/^[a-z0-9_-]{1,32}$/i.test(id)) {
+      return { variants: null, error: `variants.items[${i}].id must be 1-32 letters, digits, _ or -` };
+    }
+    if (items.some(v => v.id === id)) return { variants: null, error: `variants.items[${i}].id "${id}" is used twice` };
+    const weight = item.weight == null ? 1 : Number(item.weight);
+    if (!Number.isFinite(weight) || weight < 0) return { variants: null, error: `variants.items[${i}].weight must be a non-negative number` };
+
+    const variant = { id, weight };
+    for (const field of CONTENT_FIELDS) {
+      if (item[field] == null || item[field] === "") continue;
+      if (typeof item[field] !== "string") return { variants: null, error: `variants.items[${i}].${field} must be a string` };
+      variant[field] = item[field].trim();
+    }
+    items.push(variant);
+  }
+  if (!items.some(v => v.weight > 0)) return { variants: null, error: "variants need at least one variant with weight > 0" };
+
+  const variants = { items };
+  if (raw.auto_promote != null && raw.auto_promote !== false) {
+    const auto = raw.auto_promote === true ? {} : raw.auto_promote;
+    const metric = auto.metric ?? "reply";
+    if (!VARIANT_METRICS.includes(metric)) {
+      return { variants: null, error: `variants.auto_promote.metric must be one of ${VARIANT_METRICS.join(", ")}` };
+    }
+    const minSends = auto.min_sends == null ? DEFAULT_MIN_SENDS : Number(auto.min_sends);
+    if (!Number.isInteger(minSends) || minSends < 1) {
+      return { variants: null, error: "variants.auto_promote.min_sends must be a positive integer" };
+    }
+    variants.auto_promote = { metric, min_sends: minSends };
+  }
+  return { variants, error: null };
+}
+
+/**
+ * Every template a step can send (its own content plus each variant's), for merge field checks.
+ */
+export function stepTemplates(step) {
+  const own = CONTENT_FIELDS.map(field => step[field]);
+  const variants = (step.variants?.items || []).flatMap(v => CONTENT_FIELDS.map(field => v[field]));
+  return [...own, ...variants];
+}
+
+/**
+ * Pick a variant by weight (random in [0, 1)). Returns the variant or null when the step has none.
+ */
+export function pickVariant(variants, random = Math.random()) {
+  const items = (variants?.items || []).filter(v => v.weight > 0);
+  const total = items.reduce((sum, v) => sum + v.weight, 0);
+  if (!total) return null;
+  let point = random * total;
+  for (const variant of items) {
+    point -= variant.weight;
+    if (point < 0) return variant;
+  }
+  return items[items.length - 1];
+}
+
+/**
+ * The content a job sends for `variant`: its fields over the step's ({ subject, body_text, body_html }).
+ */
+export function variantContent(step, variant) {
+  const content = {};
+  for (const field of CONTENT_FIELDS) content[field] = variant?.[field] ?? step[field] ?? null;
+  return content;
+}
+
+async function fetchAll(build) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+const rate = (count, sent) => (sent ? count / sent : 0);
+
+/**
+ * Per-variant results for steps with variants ([{ id, step_order, deleted_at?, variants }]).
+ * Counts are distinct runs: sent, opened (a click counts as an open), clicked and replied.
+ * Returns [{ step_id, step_order, deleted, winner, auto_promote, variants: [{ id, weight, sent, opened, clicked,
+ * replied, open_rate, click_rate, reply_rate }] }].
+ */
+export async function variantStats(supabase, steps) {
+  const tested = steps.filter(s => s.variants?.items?.length);
+  if (!tested.length) return [];
+  const stepIds = tested.map(s => s.id);
+
+  const events = await fetchAll(() => supabase
+    .from("email_events")
+    .select("id, sequence_run_id, step_id, variant_id, status, created_at")
+    .in("step_id", stepIds)
+    .in("status", ["sent", "opened", "clicked"])
+    .order("id", { ascending: true }));
+
+  // replies carry no step; credit each to the last tested email its run sent before the reply
+  const sentByRun = new Map();
+  for (const e of events) {
+    if (e.status !== "sent" || !e.variant_id) continue;
+    if (!sentByRun.has(e.sequence_run_id)) sentByRun.set(e.sequence_run_id, []);
+    sentByRun.get(e.sequence_run_id).push(e);
+  }
+  const runIds = [...sentByRun.keys()];
+  const replies = [];
+  for (let i = 0; i < runIds.length; i += ID_CHUNK) {
+    const { data, error } = await supabase
+      .from("email_events")
+      .select("sequence_run_id, created_at")
+      .in("sequence_run_id", runIds.slice(i, i + ID_CHUNK))
+      .eq("status", "replied");
+    if (error) throw error;
+    replies.push(...(data || []));
+  }
+
+  const tally = new Map(); // `${step_id}:${variant_id}` -> { sent, opened, clicked, replied } (sets of run ids)
+  const bucket = (stepId, variantId) => {
+    const key = `${stepId}:${variantId}`;
+    if (!tally.has(key)) tally.set(key, { sent: new Set(), opened: new Set(), clicked: new Set(), replied: new Set() });
+    return tally.get(key);
+  };
+  for (const e of events) {
+    if (!e.variant_id) continue;
+    const counts = bucket(e.step_id, e.variant_id);
+    counts[e.status].add(e.sequence_run_id);
+    if (e.status === "clicked") counts.opened.add(e.sequence_run_id);
+  }
+  for (const reply of replies) {
+    const repliedAt = new Date(reply.created_at).getTime();
+    const last = sentByRun.get(reply.sequence_run_id)
+      .filter(e => new Date(e.created_at).getTime() <= repliedAt)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+    if (last) bucket(last.step_id, last.variant_id).replied.add(reply.sequence_run_id);
+  }
+
+  return tested.map(step => ({
+    step_id: step.id,
+    step_order: step.step_order,
+    deleted: !!step.deleted_at,
+    winner: step.variants.winner || null,
+    auto_promote: step.variants.auto_promote || null,
+    variants: step.variants.items.map(v => {
+      const counts = tally.get(`${step.id}:${v.id}`);
+      const sent = counts?.sent.size || 0;
+      const opened = counts?.opened.size || 0;
+      const clicked = counts?.clicked.size || 0;
+      const replied = counts?.replied.size || 0;
+      return {
+        id: v.id,
+        weight: v.weight,
+        sent,
+        opened,
+        clicked,
+        replied,
+        open_rate: rate(opened, sent),
+        click_rate: rate(clicked, sent),
+        reply_rate: rate(replied, sent)
+      };
+    })
+  }));
+}
+
+const METRIC_COUNT = { reply: "replied", open: "opened", click: "clicked" };
+
+/**
+ * The variant that wins on `metric` once every variant has at least minSends sends and the leader beats
+ * each other variant by a two-proportion z-test. Returns the variant id or null (not enough data yet).
+ */
+export function pickWinner(stats, { metric = "reply", min_sends = DEFAULT_MIN_SENDS } = {}) {
+  const rows = stats.filter(v => v.weight > 0);
+  if (rows.length < 2 || rows.some(v => v.sent < min_sends)) return null;
+
+  const count = METRIC_COUNT[metric];
+  const [leader, ...rest] = [...rows].sort((a, b) => rate(b[count], b.sent) - rate(a[count], a.sent));
+  const beatsAll = rest.every(other => {
+    const pooled = (leader[count] + other[count]) / (leader.sent + other.sent);
+    const se = Math.sqrt(pooled * (1 - pooled) * (1 / leader.sent + 1 / other.sent));
+    if (!se) return false;
+    return (rate(leader[count], leader.sent) - rate(other[count], other.sent)) / se >= PROMOTE_Z;
+  });
+  return beatsAll ? leader.id : null;
+}
+
+/**
+ * The stored variants with all weight moved to `winnerId`.
+ */
+export function promoteVariant(variants, winnerId) {
+  return {
+    ...variants,
+    items: variants.items.map(v => ({ ...v, weight: v.id === winnerId ? 100 : 0 })),
+    winner: winnerId,
+    promoted_at: new Date().toISOString()
+  };
+}
@@ -0,0 +1,248 @@
+// versionHelper.js - published snapshots of a sequence's steps (sequence_versions)
+//
+// sequence_steps is the draft: sequence_step_upsert / steps edit it freely. Publishing copies the draft into
+//   sequence_versions: id, sequence_id, version (1, 2, ...; unique per sequence), steps (jsonb), published_at, created_at
+// and never changes it afterwards. sequence_runs.version_id pins each run to the version it was enrolled on; the
+// worker reads that run's steps (content, order, branches, variants) from the snapshot, so draft edits never reach
+// runs in flight. migrateRuns moves live runs to another version on request.
+// Runs without a version_id (enrolled before versions existed) read the draft until the draft next changes:
+// pinDraftRuns then pins them to an unpublished snapshot (published_at null) of what they were following.
+import { fallbackStep } from "./branchHelper.js";
+
+export const SNAPSHOT_COLUMNS =
+  "id, sequence_id, step_order, subject, body_text, body_html, attachments, new_thread, delay_days, branches, variants";
+const PUBLISH_RETRIES = 3;
+const ID_CHUNK = 200;
+
+const byOrder = (a, b) => a.step_order - b.step_order;
+
+async function draftSteps(supabase, sequenceId) {
+  const { data, error } = await supabase
+    .from("sequence_steps")
+    .select(SNAPSHOT_COLUMNS)
+    .eq("sequence_id", sequenceId)
+    .is("deleted_at", null)
+    .order("step_order", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * The newest published version of a sequence (columns default to everything but the steps), or null.
+ */
+export async function latestVersion(supabase, sequenceId, columns = "id, sequence_id, version, published_at") {
+  const { data, error } = await supabase
+    .from("sequence_versions")
+    .select(columns)
+    .eq("sequence_id", sequenceId)
+    .not("published_at", "is", null)
+    .order("version", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// insert a snapshot under the next free version number (published or not)
+async function insertSnapshot(supabase, sequenceId, steps, { published }) {
+  for (let attempt = 1; ; attempt++) {
+    const { data: last, error: lastErr } = await supabase
+      .from("sequence_versions")
+      .select("version")
+      .eq("sequence_id", sequenceId)
+      .order("version", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+    if (lastErr) throw lastErr;
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from("sequence_versions")
+      .insert([{ sequence_id: sequenceId, version: (last?.version || 0) + 1, steps, published_at: published ? now : null, created_at: now }])
+      .select("id, sequence_id, version, published_at")
+      .single();
+    // two snapshots raced for the same version number: take the next one
+    if (error?.code === "23505" && attempt < PUBLISH_RETRIES) continue;
+    if (error) throw error;
+    return data;
+  }
+}
+
+/**
+ * Snapshot the draft as the next version. When the draft matches the latest version nothing is created and
+ * that version comes back with `unchanged: true`. Returns null if the sequence has no steps.
+ */
+export async function publishVersion(supabase, sequenceId) {
+  const steps = await draftSteps(supabase, sequenceId);
+  if (!steps.length) return null;
+
+  const latest = await latestVersion(supabase, sequenceId, "id, sequence_id, version, steps, published_at");
+  if (latest && JSON.stringify(latest.steps) === JSON.stringify(steps)) {
+    const { steps: _steps, ...version } = latest;
+    return { ...version, step_count: steps.length, unchanged: true };
+  }
+
+  const version = await insertSnapshot(supabase, sequenceId, steps, { published: true });
+  return { ...version, step_count: steps.length, unchanged: false };
+}
+
+/**
+ * Call before changing a sequence's draft: active/paused runs that still follow the draft are pinned to an
+ * unpublished snapshot of it, so the change never reaches them. Returns the number of runs pinned.
+ */
+export async function pinDraftRuns(supabase, sequenceId) {
+  const { count, error } = await supabase
+    .from("sequence_runs")
+    .select("id", { count: "exact", head: true })
+    .eq("sequence_id", sequenceId)
+    .is("version_id", null)
+    .in("status", ["active", "paused"]);
+  if (error) throw error;
+  if (!count) return 0;
+
+  const steps = await draftSteps(supabase, sequenceId);
+  if (!steps.length) return 0;
+  const snapshot = await insertSnapshot(supabase, sequenceId, steps, { published: false });
+
+  const { data, error: pinErr } = await supabase
+    .from("sequence_runs")
+    .update({ version_id: snapshot.id, updated_at: new Date().toISOString() })
+    .eq("sequence_id", sequenceId)
+    .is("version_id", null)
+    .in("status", ["active", "paused"])
+    .select("id");
+  if (pinErr) throw pinErr;
+  return (data || []).length;
+}
+
+/**
+ * Steps of a version, ordered by step_order.
+ */
+export async function versionSteps(supabase, versionId) {
+  const { data, error } = await supabase.from("sequence_versions").select("steps").eq("id", versionId).maybeSingle();
+  if (error) throw error;
+  if (!data) throw new Error(`sequence version ${versionId} not found`);
+  return [...(data.steps || [])].sort(byOrder);
+}
+
+/**
+ * The steps a run follows ({ sequence_id, version_id }): its pinned snapshot, or the draft for unpinned runs.
+ * Pass a Map as `cache` to share lookups across a batch.
+ */
+export async function runSteps(supabase, run, cache = new Map()) {
+  const key = run.version_id || `draft:${run.sequence_id}`;
+  if (!cache.has(key)) {
+    cache.set(key, run.version_id ? await versionSteps(supabase, run.version_id) : await draftSteps(supabase, run.sequence_id));
+  }
+  return cache.get(key);
+}
+
+// where a pending job on `oldStep` continues in newSteps: the same step if it survived, otherwise the first
+// step at or after its old position
+function mapStep(newSteps, oldStep, stepId) {
+  const same = newSteps.find(s => s.id === stepId);
+  if (same) return same;
+  return oldStep ? newSteps.find(s => s.step_order >= oldStep.step_order) || null : null;
+}
+
+const stepContent = step => ({
+  subject: step?.subject ?? null,
+  body_text: step?.body_text ?? null,
+  body_html: step?.body_html || null,
+  attachments: step?.attachments || null
+});
+
+/**
+ * Move active and paused runs of a sequence to `toVersionId`. Each pending job is re-pointed at the same step
+ * (by id) in the new version or, if that step is gone, the first step at or after its old step_order, and takes
+ * that step's content (its A/B variant is picked again at send time). A run with nothing left to send completes.
+ * Runs with a job the worker is sending right now ('processing') are left on their version and reported in
+ * `in_flight`: the worker finishes that send on the steps it loaded, and migrating again afterwards moves them.
+ * `scope`: { owner_id, sequence_id, run_ids? }. Returns { runs, jobs, completed, in_flight }.
+ */
+export async function migrateRuns(supabase, scope, toVersionId) {
+  const newSteps = await versionSteps(supabase, toVersionId);
+  const cache = new Map([[toVersionId, newSteps]]);
+
+  let query = supabase
+    .from("sequence_runs")
+    .select("id, sequence_id, version_id")
+    .eq("owner_id", scope.owner_id)
+    .eq("sequence_id", scope.sequence_id)
+    .in("status", ["active", "paused"]);
+  if (scope.run_ids?.length) query = query.in("id", scope.run_ids);
+  const { data: runs, error } = await query;
+  if (error) throw error;
+
+  const result = { runs: 0, jobs: 0, completed: 0, in_flight: [] };
+  const todo = (runs || []).filter(r => r.version_id !== toVersionId);
+  for (let i = 0; i < todo.length; i += ID_CHUNK) {
+    const chunk = todo.slice(i, i + ID_CHUNK);
+    const { data: jobs, error: jobsErr } = await supabase
+      .from("scheduled_emails")
+      .select("id, sequence_run_id, step_id, branch_step_id, status")
+      .in("sequence_run_id", chunk.map(r => r.id))
+      .in("status", ["scheduled", "paused", "processing"]);
+    if (jobsErr) throw jobsErr;
+
+    for (const run of chunk) {
+      const runJobs = (jobs || []).filter(j => j.sequence_run_id === run.id);
+      if (runJobs.some(j => j.status === "processing")) {
+        result.in_flight.push(run.id);
+        continue;
+      }
+      const oldSteps = await runSteps(supabase, run, cache);
+      const now = new Date().toISOString();
+      let remaining = 0;
+      let claimed = false;
+
+      for (const job of runJobs) {
+        let update;
+        const oldBranch = job.branch_step_id ? oldSteps.find(s => s.id === job.branch_step_id) : null;
+        const newBranch = job.branch_step_id ? newSteps.find(s => s.id === job.branch_step_id) : null;
+        if (newBranch?.branches?.rules?.length) {
+          // still a branch decision; it carries the new fallback's content until the worker decides
+          const fallback = fallbackStep(newSteps, newBranch);
+          update = { step_id: fallback?.id || null, branch_step_id: newBranch.id, ...stepContent(fallback) };
+        } else {
+          const target = job.branch_step_id
+            ? newSteps.find(s => s.step_order > (oldBranch || newBranch)?.step_order) || null
+            : mapStep(newSteps, oldSteps.find(s => s.id === job.step_id), job.step_id);
+          update = target ? { step_id: target.id, branch_step_id: null, ...stepContent(target) } : null;
+        }
+
+        // guarded by the status that was read: a job the worker claimed in the meantime is left alone
+        const jobUpdate = update
+          ? { ...update, variant_id: null, updated_at: now }
+          : { status: "cancelled", last_error: "migrated_end", updated_at: now };
+        const { data: written, error: jobErr } = await supabase
+          .from("scheduled_emails")
+          .update(jobUpdate)
+          .eq("id", job.id)
+          .eq("status", job.status)
+          .select("id");
+        if (jobErr) throw jobErr;
+        if (!written?.length) {
+          claimed = true;
+          continue;
+        }
+        if (!update) continue;
+        remaining++;
+        result.jobs++;
+      }
+      if (claimed) {
+        result.in_flight.push(run.id);
+        continue;
+      }
+
+      const runUpdate = { version_id: toVersionId, updated_at: now };
+      // a run whose pending steps no longer exist has nothing left to send
+      if (runJobs.length && !remaining) runUpdate.status = "completed";
+      const { error: runErr } = await supabase.from("sequence_runs").update(runUpdate).eq("id", run.id);
+      if (runErr) throw runErr;
+      result.runs++;
+      if (runUpdate.status) result.completed++;
+    }
+  }
+  return result;
+}
@@ -0,0 +1,249 @@
+// webhookHelper.js - signed outbound webhooks (webhook_endpoints / webhook_deliveries)
+//
+// webhook_endpoints:  id, owner_id, url, secret, events (text[]; null = every event), active, created_at, updated_at
+// webhook_deliveries: id, endpoint_id, owner_id, event_id, event, payload (jsonb), status, attempts,
+//                     next_attempt_at, last_status_code, last_error, delivered_at, replay_of, created_at, updated_at
+//
+// emitEvent queues one delivery per subscribed endpoint; /api/deliver_webhooks POSTs them. Each request carries
+//   Kaptiv-Event: <event>            Kaptiv-Delivery: <delivery id>
+//   Kaptiv-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the endpoint secret>
+// Receivers should recompute the signature, reject old timestamps and dedupe on the payload's `id` (the event id,
+// shared by retries and replays). Failed deliveries back off exponentially until MAX_ATTEMPTS, then stay 'failed'.
+// Endpoints must resolve to public addresses (netHelper.js), checked on registration and on every delivery;
+// last_error only ever holds a short reason code, never the raw connection error.
+import axios from "axios";
+import { createHmac, randomBytes, randomUUID } from "crypto";
+import { publicLookup, resolvePublicHost } from "./netHelper.js";
+
+export const WEBHOOK_EVENTS = [
+  "email.sent",
+  "email.failed",
+  "run.started",
+  "run.completed",
+  "run.replied",
+  "run.bounced",
+  "run.unsubscribed",
+  "credential.connected",
+  "credential.revoked"
+];
+
+const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 60 * 1000;
+const MAX_BACKOFF_MS = 12 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// a 'delivering' row older than this was left by a worker that died mid-request
+const STALE_DELIVERING_MS = 5 * 60 * 1000;
+
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString("base64url")}`;
+}
+
+/**
+ * Kaptiv-Signature header value for a raw request body.
+ */
+export function signWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Validate an endpoint registration. Returns { endpoint: { url, events }, error }.
+ */
+export async function parseWebhookEndpoint(raw) {
+  let url;
+  try {
+    url = new URL(raw?.url);
+  } catch (e) {
+    return { endpoint: null, error: "url must be an absolute https URL" };
+  }
+  if (url.protocol !== "https:") return { endpoint: null, error: "url must be an absolute https URL" };
+  const { error: hostErr } = await resolvePublicHost(url.hostname);
+  if (hostErr) return { endpoint: null, error: `url ${hostErr}` };
+
+  let events = null;
+  if (raw.events != null) {
+    if (!Array.isArray(raw.events) || !raw.events.length) return { endpoint: null, error: "events must be a non-empty list" };
+    const unknown = raw.events.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) return { endpoint: null, error: `unknown events: ${unknown.join(", ")}` };
+    events = [...new Set(raw.events)];
+  }
+  return { endpoint: { url: url.toString(), events }, error: null };
+}
+
+/**
+ * Queue `event` for every active endpoint of ownerId that subscribes to it. Never throws: a webhook problem
+ * must not fail the send / enrollment / callback that emitted it. Returns the number of deliveries queued.
+ */
+export async function emitEvent(supabase, ownerId, event, data) {
+  try {
+    if (!ownerId) return 0;
+    const { data: endpoints, error } = await supabase
+      .from("webhook_endpoints")
+      .select("id, events")
+      .eq("owner_id", ownerId)
+      .eq("active", true);
+    if (error) throw error;
+
+    const targets = (endpoints || []).filter(e => !e.events || e.events.includes(event));
+    if (!targets.length) return 0;
+
+    const now = new Date().toISOString();
+    const payload = { id: randomUUID(), event, created_at: now, data };
+    const { error: insertErr } = await supabase.from("webhook_deliveries").insert(targets.map(endpoint => ({
+      endpoint_id: endpoint.id,
+      owner_id: ownerId,
+      event_id: payload.id,
+      event,
+      payload,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: now,
+      created_at: now,
+      updated_at: now
+    })));
+    if (insertErr) throw insertErr;
+    return targets.length;
+  } catch (err) {
+    console.error("webhook emit error", event, "owner", ownerId, err?.message || err);
+    return 0;
+  }
+}
+
+/**
+ * Queue a fresh copy of a delivery (same event id and payload) for its endpoint. Returns the new row or null.
+ */
+export async function replayDelivery(supabase, ownerId, deliveryId) {
+  const { data: original, error } = await supabase
+    .from("webhook_deliveries")
+    .select("id, endpoint_id, event_id, event, payload")
+    .eq("id", deliveryId)
+    .eq("owner_id", ownerId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!original) return null;
+
+  const now = new Date().toISOString();
+  const { data, error: insertErr } = await supabase
+    .from("webhook_deliveries")
+    .insert([{
+      endpoint_id: original.endpoint_id,
+      owner_id: ownerId,
+      event_id: original.event_id,
+      event: original.event,
+      payload: original.payload,
+      status: "pending",
+      attempts: 0,
+      next_attempt_at: now,
+      replay_of: original.id,
+      created_at: now,
+      updated_at: now
+    }])
+    .select()
+    .single();
+  if (insertErr) throw insertErr;
+  return data;
+}
+
+// a reason code for last_error; the owner reads it back, so it says nothing about the network beyond the endpoint
+function deliveryError(err) {
+  if (err?.code === "EBLOCKEDHOST") return "blocked_host";
+  if (err?.code === "ECONNABORTED" || err?.code === "ETIMEDOUT") return "timeout";
+  if (err?.code === "ENOTFOUND" || err?.code === "EAI_AGAIN") return "dns_error";
+  if (err?.code?.startsWith?.("ERR_TLS") || /certificate|SSL|TLS/i.test(err?.message || "")) return "tls_error";
+  return "connection_failed";
+}
+
+async function postDelivery(endpoint, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  // literal IPs never reach the lookup below, so the host is checked up front as well
+  const { error: hostErr } = await resolvePublicHost(new URL(endpoint.url).hostname);
+  if (hostErr) return { ok: false, statusCode: null, error: hostErr === "host does not resolve" ? "dns_error" : "blocked_host" };
+  try {
+    const res = await axios.post(endpoint.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Kaptiv-Webhooks/1.0",
+        "Kaptiv-Event": delivery.event,
+        "Kaptiv-Delivery": delivery.id,
+        "Kaptiv-Signature": signWebhook(endpoint.secret, body)
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      maxRedirects: 0,
+      lookup: publicLookup,
+      validateStatus: () => true
+    });
+    const ok = res.status >= 200 && res.status < 300;
+    return { ok, statusCode: res.status, error: ok ? null : `HTTP ${res.status}` };
+  } catch (err) {
+    console.warn("webhook delivery error", delivery.id, err?.code || "", err?.message || err);
+    return { ok: false, statusCode: null, error: deliveryError(err) };
+  }
+}
+
+/**
+ * Send due deliveries (pending and past next_attempt_at, or abandoned mid-request). Each row is claimed with a
+ * status-guarded update so concurrent workers never send it twice. Returns { claimed, delivered, retrying, failed }.
+ */
+export async function deliverPending(supabase, { batchSize = 50 } = {}) {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_DELIVERING_MS).toISOString();
+  const { data: due, error } = await supabase
+    .from("webhook_deliveries")
+    .select("id, endpoint_id, event, payload, attempts, status, updated_at")
+    .or(`and(status.eq.pending,next_attempt_at.lte.${now.toISOString()}),and(status.eq.delivering,updated_at.lt.${staleBefore})`)
+    .order("next_attempt_at", { ascending: true })
+    .limit(batchSize);
+  if (error) throw error;
+
+  const summary = { claimed: 0, delivered: 0, retrying: 0, failed: 0 };
+  const endpoints = new Map();
+  for (const row of due || []) {
+    const { data: claimed, error: claimErr } = await supabase
+      .from("webhook_deliveries")
+      .update({ status: "delivering", updated_at: new Date().toISOString() })
+      .eq("id", row.id)
+      .eq("status", row.status)
+      .eq("updated_at", row.updated_at)
+      .select("id");
+    if (claimErr) throw claimErr;
+    if (!claimed?.length) continue;
+    summary.claimed++;
+
+    if (!endpoints.has(row.endpoint_id)) {
+      const { data: endpoint, error: endpointErr } = await supabase
+        .from("webhook_endpoints")
+        .select("id, url, secret, active")
+        .eq("id", row.endpoint_id)
+        .maybeSingle();
+      if (endpointErr) throw endpointErr;
+      endpoints.set(row.endpoint_id, endpoint);
+    }
+    const endpoint = endpoints.get(row.endpoint_id);
+
+    const attempts = (row.attempts || 0) + 1;
+    const result = endpoint?.active
+      ? await postDelivery(endpoint, row)
+      : { ok: false, statusCode: null, error: "endpoint_inactive" };
+    const done = result.ok || attempts >= MAX_ATTEMPTS || !endpoint?.active;
+
+    const update = {
+      status: result.ok ? "delivered" : done ? "failed" : "pending",
+      attempts,
+      last_status_code: result.statusCode,
+      last_error: result.error,
+      delivered_at: result.ok ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString()
+    };
+    if (!done) {
+      const backoffMs = Math.min(BASE_BACKOFF_MS * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+      update.next_attempt_at = new Date(Date.now() + backoffMs).toISOString();
+    }
+    const { error: updateErr } = await supabase.from("webhook_deliveries").update(update).eq("id", row.id);
+    if (updateErr) throw updateErr;
+
+    if (result.ok) summary.delivered++;
+    else if (done) summary.failed++;
+    else summary.retrying++;
+  }
+  return summary;
+}